@@ -0,0 +1,155 @@
+// Address formatting: business and postal addresses from the payload's
+// business* / postal* fields, site addresses from each site's `site_address`,
+// Australian state abbreviations and postcode checks.
+
+const { createTranslator } = require("./messages");
+
+const AU_STATES = {
+  NSW: "New South Wales",
+  VIC: "Victoria",
+  QLD: "Queensland",
+  SA: "South Australia",
+  WA: "Western Australia",
+  TAS: "Tasmania",
+  NT: "Northern Territory",
+  ACT: "Australian Capital Territory",
+};
+
+// Inclusive postcode ranges per state (Australia Post allocations)
+const AU_POSTCODE_RANGES = {
+  NSW: [[1000, 2599], [2619, 2899], [2921, 2999]],
+  ACT: [[200, 299], [2600, 2618], [2900, 2920]],
+  VIC: [[3000, 3999], [8000, 8999]],
+  QLD: [[4000, 4999], [9000, 9999]],
+  SA: [[5000, 5999]],
+  WA: [[6000, 6999]],
+  TAS: [[7000, 7999]],
+  NT: [[800, 999]],
+};
+
+const AU_NAMES = new Set(["", "au", "aus", "australia"]);
+
+const ADDRESS_FIELDS = {
+  business: {
+    street: "businessStreetAddress",
+    city: "businessCity",
+    state: "businessState",
+    postcode: "businessPostcode",
+    country: "businessCountry",
+  },
+  postal: {
+    street: "postalStreetAddress",
+    city: "postalCity",
+    state: "postalState",
+    postcode: "postalPostcode",
+    country: "postalCountry",
+  },
+};
+
+// keys of a site's `site_address` object
+const SITE_ADDRESS_FIELDS = {
+  street: "Address",
+  city: "City",
+  state: "State",
+  postcode: "PostalCode",
+  country: "Country",
+};
+
+function clean(value) {
+  return typeof value === "string" ? value.trim().replace(/\s+/g, " ") : "";
+}
+
+// A blank country is treated as Australia for state/postcode rules only;
+// it is never printed.
+function isAustralia(country) {
+  return AU_NAMES.has(clean(country).toLowerCase());
+}
+
+/** "New South Wales" / "nsw" -> "NSW"; other values are returned cleaned. */
+function abbreviateState(state, country) {
+  const s = clean(state);
+  if (!s || !isAustralia(country)) return s;
+  const upper = s.toUpperCase();
+  if (AU_STATES[upper]) return upper;
+  const match = Object.entries(AU_STATES).find(
+    ([, name]) => name.toUpperCase() === upper
+  );
+  return match ? match[0] : s;
+}
+
+/**
+ * Checks a postcode for the country (and state, for Australia).
+ * @returns {string|null} problem description, or null when fine or unchecked
+ */
+function checkPostcode(postcode, state, country) {
+  const p = clean(postcode);
+  if (!p || !isAustralia(country)) return null;
+  if (!/^\d{4}$/.test(p)) return "must be 4 digits";
+  const ranges = AU_POSTCODE_RANGES[abbreviateState(state, country)];
+  if (!ranges) return null;
+  const n = Number(p);
+  return ranges.some(([lo, hi]) => n >= lo && n <= hi)
+    ? null
+    : `is not a ${abbreviateState(state, country)} postcode`;
+}
+
+function readAddress(source, fields) {
+  const a = Object.fromEntries(
+    Object.entries(fields).map(([k, f]) => [k, clean(source?.[f])])
+  );
+  return { ...a, state: abbreviateState(a.state, a.country) };
+}
+
+/** Address parts of one kind ("business" | "postal"), cleaned. */
+function getAddress(data, kind) {
+  return readAddress(data, ADDRESS_FIELDS[kind]);
+}
+
+// "LEVEL 4, 207B Pacific Highway, ST LEONARDS NSW 2065, Australia"
+function formatAddress(address) {
+  if (!address) return "";
+  const locality = [address.city, address.state, address.postcode]
+    .filter(Boolean)
+    .join(" ");
+  return [address.street, locality, address.country]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function isSameAsBusiness(data) {
+  return data?.sameAddres === true || data?.sameAddress === true;
+}
+
+function getBusinessAddress(data) {
+  return formatAddress(getAddress(data, "business"));
+}
+
+/** Postal address, or the translated "same as business address" note. */
+function getPostalAddress(data, t = createTranslator()) {
+  if (isSameAsBusiness(data)) return t("address.sameAsBusiness");
+  return formatAddress(getAddress(data, "postal"));
+}
+
+/** Address parts of a `serviceAgreement.sites[]` entry, cleaned. */
+function getSiteAddressParts(site) {
+  return readAddress(site?.site_address, SITE_ADDRESS_FIELDS);
+}
+
+function getSiteAddress(site) {
+  return formatAddress(getSiteAddressParts(site));
+}
+
+module.exports = {
+  AU_STATES,
+  ADDRESS_FIELDS,
+  SITE_ADDRESS_FIELDS,
+  abbreviateState,
+  checkPostcode,
+  getAddress,
+  formatAddress,
+  isSameAsBusiness,
+  getBusinessAddress,
+  getPostalAddress,
+  getSiteAddressParts,
+  getSiteAddress,
+};
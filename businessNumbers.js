@@ -0,0 +1,143 @@
+// Business identifiers: Australian Business Number (ABN) and Australian
+// Company Number (ACN), New Zealand Business Number (NZBN) checksums and
+// display formatting. Other schemes are printed as entered.
+
+const ABN_WEIGHTS = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+const ACN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 1];
+
+// What to do with an ABN/ACN that fails its checksum
+const INVALID_BUSINESS_NUMBER = { BLOCK: "block", WATERMARK: "watermark" };
+
+function digitsOf(value) {
+  return String(value ?? "").replace(/[\s-]/g, "");
+}
+
+/** Modulus 89 check: subtract 1 from the first digit, weight, sum. */
+function isValidAbn(value) {
+  const d = digitsOf(value);
+  if (!/^\d{11}$/.test(d)) return false;
+  const sum = [...d].reduce(
+    (acc, c, i) => acc + (Number(c) - (i === 0 ? 1 : 0)) * ABN_WEIGHTS[i],
+    0
+  );
+  return sum % 89 === 0;
+}
+
+/** Modulus 10 check digit over the first eight digits. */
+function isValidAcn(value) {
+  const d = digitsOf(value);
+  if (!/^\d{9}$/.test(d)) return false;
+  const sum = ACN_WEIGHTS.reduce((acc, w, i) => acc + Number(d[i]) * w, 0);
+  return (10 - (sum % 10)) % 10 === Number(d[8]);
+}
+
+// "48 000 026 219"
+function formatAbn(value) {
+  const d = digitsOf(value);
+  return /^\d{11}$/.test(d)
+    ? `${d.slice(0, 2)} ${d.slice(2, 5)} ${d.slice(5, 8)} ${d.slice(8)}`
+    : String(value ?? "").trim();
+}
+
+/** GS1 check digit: weights 1, 3, 1, 3... over the first twelve digits. */
+function isValidNzbn(value) {
+  const d = digitsOf(value);
+  if (!/^\d{13}$/.test(d)) return false;
+  const sum = [...d.slice(0, 12)].reduce(
+    (acc, c, i) => acc + Number(c) * (i % 2 === 0 ? 1 : 3),
+    0
+  );
+  return (10 - (sum % 10)) % 10 === Number(d[12]);
+}
+
+// "000 026 219"
+function formatAcn(value) {
+  const d = digitsOf(value);
+  return /^\d{9}$/.test(d)
+    ? `${d.slice(0, 3)} ${d.slice(3, 6)} ${d.slice(6)}`
+    : String(value ?? "").trim();
+}
+
+// "9429041561467": NZBNs are printed as one block of digits
+function formatNzbn(value) {
+  const d = digitsOf(value);
+  return /^\d{13}$/.test(d) ? d : String(value ?? "").trim();
+}
+
+// First non-blank of the payload fields, with the field it came from
+function pickNumber(data, fields) {
+  for (const field of fields) {
+    const value = String(data?.[field] ?? "").trim();
+    if (value) return { field, value };
+  }
+  return null;
+}
+
+/**
+ * Reads the customer's business number for the identifier scheme of the
+ * locale profile. "ABN" reads `abn` (11 digits, or 9 for an ACN entered
+ * there) or `acn`; "NZBN" reads `nzbn` or `abn`; any other scheme reads
+ * `businessNumber` or `abn` without a checksum.
+ * @returns {{ type: string, value: string, formatted: string, valid: boolean, field: string }|null}
+ *   null when the payload has none
+ */
+function getBusinessNumber(data, scheme = "ABN") {
+  if (scheme === "NZBN") {
+    const found = pickNumber(data, ["nzbn", "abn"]);
+    return found
+      ? {
+          type: "NZBN",
+          value: found.value,
+          formatted: formatNzbn(found.value),
+          valid: isValidNzbn(found.value),
+          field: found.field,
+        }
+      : null;
+  }
+  if (scheme !== "ABN") {
+    const found = pickNumber(data, ["businessNumber", "abn"]);
+    return found
+      ? {
+          type: scheme,
+          value: found.value,
+          formatted: found.value,
+          valid: true,
+          field: found.field,
+        }
+      : null;
+  }
+
+  const abn = String(data?.abn ?? "").trim();
+  const acn = String(data?.acn ?? "").trim();
+  if (abn) {
+    const isAcn = digitsOf(abn).length === 9;
+    return {
+      type: isAcn ? "ACN" : "ABN",
+      value: abn,
+      formatted: isAcn ? formatAcn(abn) : formatAbn(abn),
+      valid: isAcn ? isValidAcn(abn) : isValidAbn(abn),
+      field: "abn",
+    };
+  }
+  if (acn) {
+    return {
+      type: "ACN",
+      value: acn,
+      formatted: formatAcn(acn),
+      valid: isValidAcn(acn),
+      field: "acn",
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  INVALID_BUSINESS_NUMBER,
+  isValidAbn,
+  isValidAcn,
+  isValidNzbn,
+  formatAbn,
+  formatAcn,
+  formatNzbn,
+  getBusinessNumber,
+};
@@ -0,0 +1,102 @@
+// Customer contacts and the roles they hold (quotes, jobs, invoices, statements).
+// The account contact comes from the payload's top-level account* fields;
+// further contacts come from `additionalContacts` with the same role flags.
+
+const CONTACT_ROLES = [
+  {
+    key: "quote",
+    label: "Quote",
+    flag: "QuoteContact",
+    primaryFlag: "PrimaryQuoteContact",
+  },
+  {
+    key: "job",
+    label: "Job",
+    flag: "JobContact",
+    primaryFlag: "PrimaryJobContact",
+  },
+  {
+    key: "invoice",
+    label: "Invoice",
+    flag: "InvoiceContact",
+    primaryFlag: "PrimaryInvoiceContact",
+  },
+  {
+    key: "statement",
+    label: "Statement",
+    flag: "StatementContact",
+    primaryFlag: "PrimaryStatementContact",
+  },
+];
+
+// Field spellings seen in payloads, most specific first
+const CONTACT_FIELDS = {
+  firstName: ["firstName", "accountFirstName", "GivenName"],
+  lastName: ["lastName", "accountLastName", "FamilyName"],
+  title: ["title", "accountTitle", "Position"],
+  email: ["email", "accountEmail", "Email"],
+  phone: ["phone", "accountPhone", "WorkPhone"],
+  mobile: ["mobile", "accountMobile", "CellPhone"],
+};
+
+function pick(contact, fields) {
+  for (const f of fields) {
+    const v = contact?.[f];
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return "";
+}
+
+function normalizeContact(contact) {
+  const c = Object.fromEntries(
+    Object.entries(CONTACT_FIELDS).map(([k, fields]) => [
+      k,
+      pick(contact, fields),
+    ])
+  );
+  return {
+    name: [c.firstName, c.lastName].filter(Boolean).join(" "),
+    title: c.title,
+    email: c.email,
+    phone: c.phone,
+    mobile: c.mobile,
+    // a primary flag implies the role even when the plain flag was left off
+    roles: CONTACT_ROLES.filter(
+      (r) => contact?.[r.flag] === true || contact?.[r.primaryFlag] === true
+    ).map((r) => ({
+      key: r.key,
+      label: r.label,
+      primary: contact?.[r.primaryFlag] === true,
+    })),
+  };
+}
+
+/**
+ * Account contact plus additional contacts, each with the roles they hold.
+ * At most one contact is marked primary per role (the first flagged one);
+ * contacts with neither a name nor an email are dropped.
+ * @returns {{ name, title, email, phone, mobile, roles: { key, label, primary }[] }[]}
+ */
+function getContacts(data) {
+  const raw = [
+    data,
+    ...(Array.isArray(data?.additionalContacts)
+      ? data.additionalContacts
+      : []),
+  ];
+  const claimed = new Set();
+
+  return raw
+    .map(normalizeContact)
+    .filter((c) => c.name || c.email)
+    .map((c) => ({
+      ...c,
+      roles: c.roles.map((r) => {
+        const primary = r.primary && !claimed.has(r.key);
+        if (primary) claimed.add(r.key);
+        return { ...r, primary };
+      }),
+    }));
+}
+
+module.exports = { CONTACT_ROLES, getContacts };
@@ -1,31 +1,88 @@
 // Service Agreement HTML Builder (cleaned)
 
-const { parseISO, format, isValid } = require("date-fns");
-const { formatInTimeZone } = require("date-fns-tz");
+const fs = require("fs");
+const path = require("path");
+const {
+  parse,
+  parseISO,
+  format,
+  isValid,
+  addMonths,
+  addDays,
+} = require("date-fns");
+const { escapeHtml, escapeUrl, trustedHtml } = require("./htmlEscape");
+const { renderTemplate } = require("./templateEngine");
+const {
+  toCents,
+  multiplyCents,
+  formatCents,
+  formatMoney,
+} = require("./money");
+const { getContacts } = require("./contacts");
+const {
+  DEFAULT_LOCALE_PROFILE,
+  getLocaleProfile,
+  formatNumber,
+} = require("./localeProfiles");
+const { createTranslator } = require("./messages");
+const { getHolidayDates, getHolidayRegion } = require("./holidays");
+const { getSiteVisitSchedules } = require("./visitSchedule");
+const {
+  getBusinessAddress,
+  getPostalAddress,
+  getSiteAddress,
+  getSiteAddressParts,
+} = require("./addresses");
+const {
+  INVALID_BUSINESS_NUMBER,
+  getBusinessNumber,
+} = require("./businessNumbers");
+const { PayloadValidationError } = require("./validatePayload");
+const {
+  DEFAULT_PRICING_POLICY,
+  ESCALATION_METHODS,
+  getPricingPolicy,
+  getEscalationPolicy,
+  getTier,
+  getTierPerks,
+} = require("./pricingPolicy");
+const {
+  createFillReport,
+  UnresolvedPlaceholdersError,
+} = require("./fillReport");
+const {
+  TERM_PRICING,
+  getNumber,
+  getDiscountDefault,
+  getServices,
+  getServiceAnualCost,
+  getServicePricing,
+  countSelectedServices,
+  computeGrandTotal,
+  computeContractTotal,
+  computeQuote,
+  getServiceMatrix,
+  getContractTerm,
+} = require("./pricing");
+const {
+  pickField,
+  fillTemplate,
+  getServiceQuantityValue,
+  getServiceCatalogue,
+} = require("./serviceCatalogue");
+const {
+  DEFAULT_FREQUENCY_MODEL,
+  normalizeFrequency,
+  getFrequencyModel,
+  getFrequencyLabel,
+} = require("./frequencies");
 
 // constants
 const IMAGE_ZONE_PX = 160;
-const TODAY_AU = safeFormatInSydney(new Date(), "dd/MM/yyyy");
-const BOX_PX = 12;
-const BORDER = "black";
-const STROKE = "black";
-const STROKE_W = 2;
+const DEFAULT_CHECKLIST_FREQUENCIES = ["quarterly", "six-monthly", "yearly"];
+const DEFAULT_TRANSLATOR = createTranslator();
 
 // ---- small helpers ----
-function safeFormatInSydney(date, fmt) {
-  try {
-    return formatInTimeZone(date, "Australia/Sydney", fmt);
-  } catch {
-    return "";
-  }
-}
-
-function safeReplaceAll(html, token, value = "") {
-  if (typeof html !== "string" || typeof token !== "string") return html ?? "";
-  const v = value == null ? "" : String(value);
-  return html.split(token).join(v);
-}
-
 function safeJoin(parts, sep = " ") {
   return (Array.isArray(parts) ? parts : [])
     .map((p) => (p ?? "").toString().trim())
@@ -34,1376 +91,1230 @@ function safeJoin(parts, sep = " ") {
 }
 
 // ---- date & number ----
-function toDDMMYYYY(iso) {
+// ISO date in the profile's date format, or "" when it doesn't parse
+function formatDate(iso, profile = DEFAULT_LOCALE_PROFILE) {
   if (!iso || typeof iso !== "string") return "";
   try {
     const d = parseISO(iso);
-    return isValid(d) ? format(d, "dd/MM/yyyy") : "";
+    return isValid(d) ? format(d, profile.dateFormat) : "";
   } catch {
     return "";
   }
 }
 
-function getNumber(val) {
-  if (typeof val === "number" && Number.isFinite(val)) return val;
-  if (val == null) return 0;
-  const cleaned = String(val).replace(/[^0-9.,-]/g, "");
-  const normalized =
-    cleaned.includes(".") && cleaned.includes(",")
-      ? cleaned.replace(/,/g, "")
-      : cleaned.replace(",", ".");
-  const num = parseFloat(normalized);
-  return Number.isFinite(num) ? num : 0;
-}
-
-function formatMoney(n) {
-  const safe = Number.isFinite(n) ? n : 0;
-  // If whole number, don't show decimals; if decimal, show 2 places
-  const isWholeNumber = safe % 1 === 0;
-  
-  try {
-    return safe.toLocaleString("en-AU", {
-      style: "currency",
-      currency: "AUD",
-      maximumFractionDigits: 2,
-      minimumFractionDigits: isWholeNumber ? 0 : 2,
-    });
-  } catch {
-    // If whole number, no decimals; otherwise 2 decimals
-    return isWholeNumber 
-      ? `$${safe.toString()}` 
-      : `$${safe.toFixed(2)}`;
-  }
-}
-
-// Add a helper function to format price numbers without .00
-function formatPrice(n) {
-  const safe = Number.isFinite(n) ? n : 0;
-  // If whole number, no decimals; if decimal, show exactly 2 decimals
-  const isWholeNumber = safe % 1 === 0;
-  return isWholeNumber 
-    ? safe.toString() 
-    : safe.toFixed(2);
+// Signature date as the signing form sends it ("23/10/2025") or ISO, in the
+// profile's date format; "" when it doesn't parse
+function formatSignatureDate(value, profile = DEFAULT_LOCALE_PROFILE) {
+  const s = typeof value === "string" ? value.trim() : "";
+  if (!/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(s)) return formatDate(s, profile);
+  const d = parse(s, "dd/MM/yyyy", new Date());
+  return isValid(d) ? format(d, profile.dateFormat) : "";
 }
 
-// ---- discounts & totals ----
-function getDiscountDefault(serviceCount) {
-  const c = Number.isFinite(serviceCount) ? serviceCount : 0;
-  if (c < 3) return 0;
-  if (c >= 4 && c < 6) return 5;
-  if (c >= 6) return 10;
-  return 0;
+function toDDMMYYYY(iso) {
+  return formatDate(iso);
 }
 
-function frequencyToMultiplier(frequency) {
-  const f = (frequency ?? "").toString().trim().toLowerCase();
-  if (!f || f === "none") return 0;
-  if (f === "yearly") return 1;
-  if (f === "six-monthly" || f === "6monthly" || f === "six monthly") return 2;
-  return 4;
+// ---- contract term ----
+function formatContractTerm(term, t = DEFAULT_TRANSLATOR) {
+  if (!term) return "";
+  const parts = [];
+  if (term.months) parts.push(t("contract.months", { count: term.months }));
+  if (term.days) parts.push(t("contract.days", { count: term.days }));
+  return parts.join(", ");
 }
 
-function getServiceAnualCost(services, frequency) {
-  const mult = frequencyToMultiplier(frequency);
-  if (!mult || !Array.isArray(services) || services.length === 0) return 0;
-  return services.reduce((acc, s) => acc + getNumber(s?.price) * mult, 0);
+// ---- translations ----
+// Copies of the service catalogue, pricing policy, frequency model and
+// contact roles with their wording replaced where the language's catalogue
+// translates it (keys listed in messages.js). The rest stays as defined.
+function localizeCatalogue(catalogue, t) {
+  return Object.fromEntries(
+    Object.entries(catalogue).map(([type, entry]) => {
+      const find = (field) => t.find(`service.${type}.${field}`);
+      const title = find("title");
+      const detail = find("detail");
+      const noun = find("noun");
+      return [
+        type,
+        {
+          ...entry,
+          title: title ?? entry.title,
+          titleLines:
+            find("titleLines") ?? (title ? [title] : entry.titleLines),
+          disclaimer: find("disclaimer") ?? entry.disclaimer,
+          detail:
+            entry.detail?.template && detail
+              ? { ...entry.detail, template: detail }
+              : entry.detail,
+          lines: entry.lines?.map((line) => {
+            if (line.id == null) return line;
+            const out = { ...line };
+            for (const field of ["suffix", "text", "template"]) {
+              const text = find(`lines.${line.id}.${field}`);
+              if (line[field] != null && text != null) out[field] = text;
+            }
+            return out;
+          }),
+          buildingSummary:
+            entry.buildingSummary && noun
+              ? { ...entry.buildingSummary, noun }
+              : entry.buildingSummary,
+        },
+      ];
+    })
+  );
 }
 
-function getServiceAnualChuteCost(services, frequency) {
-  const mult = frequencyToMultiplier(frequency);
-  if (!mult || !Array.isArray(services) || services.length === 0) return 0;
-  return services.reduce(
-    (acc, s) => acc + getNumber(s?.price) * mult * getNumber(s?.chutes),
-    0
-  );
+function localizePolicy(policy, t) {
+  return {
+    ...policy,
+    tiers: policy.tiers.map((tier) => ({
+      ...tier,
+      name: t.find(`tier.${tier.name}`) ?? tier.name,
+      perks: t.find(`tier.${tier.name}.perks`) ?? tier.perks,
+    })),
+  };
 }
 
-function getServiceAnualEquipmentCost(services, frequency) {
-  const mult = frequencyToMultiplier(frequency);
-  if (!mult || !Array.isArray(services) || services.length === 0) return 0;
-  return services.reduce(
-    (acc, s) => acc + getNumber(s?.price) * mult * getNumber(s?.quantity),
-    0
+function localizeFrequencyModel(model, t) {
+  return new Map(
+    [...model].map(([key, def]) => [
+      key,
+      { ...def, label: t.find(`frequency.${key}`) ?? def.label },
+    ])
   );
 }
 
-function getServices(sites, type) {
-  if (!Array.isArray(sites) || !type) return { type, items: [] };
-  const items = sites.flatMap((site) =>
-    (site?.buildings ?? []).flatMap((b) =>
-      (b?.services ?? [])
-        .filter((s) => s && s.type === type)
-        .map((s) => ({
-          site_name: site?.site_name ?? "",
-          site_id: site?.simpro_site_id ?? null,
-          building_id: b?.id ?? null,
-          building_name: b?.name || null,
-          ...s,
-        }))
-    )
-  );
-  return { type, items };
+function localizeContacts(contacts, t) {
+  return contacts.map((c) => ({
+    ...c,
+    roles: c.roles.map((r) => {
+      const label = t.find(`contact.role.${r.key}`) ?? r.label;
+      return {
+        ...r,
+        label: r.primary ? t("contact.primaryRole", { role: label }) : label,
+      };
+    }),
+  }));
 }
 
-function computeGrandTotal({
-  sites = [],
-  frequencies = {},
-  odourControlUnits = {},
-  getDiscount = getDiscountDefault,
-  incentives,
-}) {
-  const chuteCleaningFrequency = frequencies?.chuteCleaningFrequency ?? null;
-  const equipmentMaintenanceFrequency =
-    frequencies?.equipmentMaintenanceFrequency ?? null;
-  const selfClosingHopperDoorInspectionFrequency =
-    frequencies?.selfClosingHopperDoorInspectionFrequency ?? null;
-  const wasteRoomCleaningFrequency =
-    frequencies?.wasteRoomCleaningFrequency ?? null;
-  const binCleaningFrequency = frequencies?.binCleaningFrequency ?? null;
-  const odourControlFrequency = frequencies?.odourControlFrequency ?? null;
-
-  const chute = getServices(sites, "chute_cleaning");
-  const equip = getServices(sites, "equipment_maintenance");
-  const hopper = getServices(sites, "hopper_door_inspection");
-  const waste = getServices(sites, "waste_room_pressure_clean");
-  const bin = getServices(sites, "bin_cleaning");
-  const odour = getServices(sites, "odour_control");
-
-  const chuteAnnual = getServiceAnualChuteCost(
-    chute.items,
-    chuteCleaningFrequency
-  );
-  const equipAnnual = getServiceAnualEquipmentCost(
-    equip.items,
-    equipmentMaintenanceFrequency
-  );
-  const hopperAnnual = getServiceAnualChuteCost(
-    hopper.items,
-    selfClosingHopperDoorInspectionFrequency
-  );
-  const wasteAnnual = getServiceAnualCost(
-    waste.items,
-    wasteRoomCleaningFrequency
-  );
-  const binAnnual = getServiceAnualEquipmentCost(bin.items, binCleaningFrequency);
-
-  const odourMult = frequencyToMultiplier(odourControlFrequency);
-  const odourAnnual = odourMult
-    ? (odour.items || []).reduce((acc, r) => {
-        const qty = getNumber(odourControlUnits?.[r?.id] ?? 0);
-        return acc + qty * getNumber(r?.price) * odourMult;
-      }, 0)
-    : 0;
-
-  const subtotal =
-    chuteAnnual + equipAnnual + hopperAnnual + wasteAnnual + binAnnual + odourAnnual;
-
-  const serviceCount = [
-    chuteCleaningFrequency,
-    equipmentMaintenanceFrequency,
-    selfClosingHopperDoorInspectionFrequency,
-    wasteRoomCleaningFrequency,
-    binCleaningFrequency,
-    odourControlFrequency,
-  ].filter(
-    (f) => f != null && String(f).trim() !== "" && String(f).trim() !== "none"
-  ).length;
-
-  const discountPct = Number(getDiscount(Number(serviceCount))) || 0;
-  const discountAmt =
-    discountPct && incentives ? (subtotal * discountPct) / 100 : 0;
-
-  return Math.max(0, subtotal - discountAmt);
+// Noun for a count: catalogue [one, many], or translated plural forms
+function nounFor(noun, count, t) {
+  if (Array.isArray(noun)) return count === 1 ? noun[0] : noun[1];
+  return t.plural(noun, count);
 }
 
 // ---- cover page helpers ----
-function getSitesNames(sites) {
+// Sites named on the cover: name, address and building names
+function getCoverSitesView(sites) {
   if (!Array.isArray(sites)) return [];
-  return sites.flatMap((site) =>
-    (site?.buildings ?? []).flatMap(() => site?.site_name ?? "")
-  );
-}
-
-function getCoverPageSitesNames(sites) {
-  if (!Array.isArray(sites)) return "";
-
-  const siteGroups = sites
+  return sites
     .filter((site) => site?.site_name)
-    .map((site) => {
-      const siteName = site.site_name;
-      const buildings = (site?.buildings ?? [])
+    .map((site) => ({
+      name: site.site_name,
+      address: getSiteAddress(site),
+      buildings: (site?.buildings ?? [])
         .map((b) => b?.name)
-        .filter(Boolean);
-      
-      const buildingsList = buildings.length > 0 
-        ? buildings.join(", ")
-        : "";
-
-      return {
-        siteName,
-        buildingsList,
-      };
-    })
-    .filter((group) => group.siteName);
-
-  const html = siteGroups
-    .map((group) => {
-      const siteDiv = `<div style="font-size:14px;"><b>${group.siteName}</b></div>`;
-      const buildingsDiv = group.buildingsList
-        ? `<div style="font-size:14px; padding-left:10px;">${group.buildingsList}</div>`
-        : "";
-      return siteDiv + buildingsDiv;
-    })
-    .join("");
-
-  return `
-    <div style="display:flex; flex-direction:column; gap:5px;">
-      ${html}
-    </div>
-  `;
+        .filter(Boolean)
+        .join(", "),
+    }));
 }
 
-// ---- shared collectors / UI bits ----
-function getChuteCleaningServices(sites, type) {
-  return getServices(sites, type).items || [];
-}
-
-function frequencyChecklistHTML(frequency, opts = {}) {
-  const norm = (s) =>
-    (s ?? "").toString().trim().toLowerCase().replace(/\s+/g, "-");
+// ---- shared UI bits ----
+// Checklist items for `opts.visible` (default: quarterly, 6 monthly, yearly),
+// most frequent first, drawn from the frequency model.
+function getFrequencyChecklist(frequency, opts = {}) {
+  const norm = normalizeFrequency;
+  const model = opts.model ?? DEFAULT_FREQUENCY_MODEL;
 
   const f = norm(frequency);
-  const isQuarterly = f === "quarterly";
-  const isSixMonthly = f === "six-monthly" || f === "6monthly";
-  const isYearly = f === "yearly";
-
-  const items = [
-    { key: "quarterly", label: "Quarterly", checked: isQuarterly },
-    { key: "six-monthly", label: "6 Monthly", checked: isSixMonthly },
-    { key: "yearly", label: "Yearly", checked: isYearly },
-  ];
+  const items = [...model.values()]
+    .sort((a, b) => b.visitsPerYear - a.visitsPerYear)
+    .map((it) => ({ key: it.key, label: it.label, checked: it.key === f }));
 
-  let filtered = items;
   if (Array.isArray(opts.visible) && opts.visible.length) {
     const vis = new Set(opts.visible.map(norm));
-    filtered = filtered.filter((it) => vis.has(it.key));
-  } else if (Array.isArray(opts.hide) && opts.hide.length) {
-    const hide = new Set(opts.hide.map(norm));
-    filtered = filtered.filter((it) => !hide.has(it.key));
-  }
-
-  if (!filtered.length) {
-    return `<div style="width:20%; min-height:45px; padding-top:5px; display:flex; flex-direction:column; padding-bottom:20px; gap:10px;"></div>`;
+    return items.filter((it) => vis.has(it.key));
   }
+  const hide = new Set((Array.isArray(opts.hide) ? opts.hide : []).map(norm));
+  return items.filter(
+    (it) => DEFAULT_CHECKLIST_FREQUENCIES.includes(it.key) && !hide.has(it.key)
+  );
+}
 
-  const box = (checked) => `
-    <span style="
-      width:${BOX_PX}px;
-      height:${BOX_PX}px;
-      border:1px solid ${BORDER};
-      display:inline-block;
-      position:relative;
-    ">
-      ${
-        checked
-          ? `
-        <svg viewBox="0 0 100 100" preserveAspectRatio="none"
-             style="position:absolute; inset:0; width:100%; height:100%; pointer-events:none;">
-          <line x1="0" y1="0" x2="100" y2="100" stroke="${STROKE}" stroke-width="${
-              (STROKE_W / BOX_PX) * 100
-            }"/>
-          <line x1="100" y1="0" x2="0" y2="100" stroke="${STROKE}" stroke-width="${
-              (STROKE_W / BOX_PX) * 100
-            }"/>
-        </svg>
-      `
-          : ""
-      }
-    </span>
-  `;
-
-  const rows = filtered
-    .map(
-      (it) => `
-    <div style="padding-left:10px;display:flex;align-items:center;gap:5px;">
-      ${box(it.checked)}${it.label}
-    </div>`
-    )
-    .join("");
+// The template's "checkbox" partial, read once from the agreement template
+const AGREEMENT_TEMPLATE_PATH = path.join(__dirname, "service-agreement.html");
+const CHECKBOX_PARTIAL_RE =
+  /\{\{#\*inline "checkbox"\}\}([\s\S]*?)\{\{\/inline\}\}/;
+let checkboxPartial = null;
+
+/**
+ * Checklist rows rendered through the template's "checkbox" partial, for
+ * callers that still build markup in JS.
+ * @deprecated the schedule renders `checklist` from the view model; use
+ *   getFrequencyChecklist() with the template instead.
+ */
+function frequencyChecklistHTML(frequency, opts = {}) {
+  checkboxPartial ??=
+    CHECKBOX_PARTIAL_RE.exec(
+      fs.readFileSync(AGREEMENT_TEMPLATE_PATH, "utf8")
+    )?.[1] ?? "";
+  return renderTemplate(
+    "{{#each checklist}}{{> checkbox}}{{/each}}",
+    { checklist: getFrequencyChecklist(frequency, opts) },
+    { partials: { checkbox: checkboxPartial } }
+  );
+}
 
-  return `
-    <div style="width:20%; min-height:45px; padding-top:5px; display:flex; flex-direction:column; padding-bottom:20px; gap:10px;">
-      ${rows}
-    </div>
-  `;
+// ---- service sections (view model for the schedule of services) ----
+// Formatted address of each site, by simPRO site id and by site name
+function getSiteAddresses(sites) {
+  const addresses = new Map();
+  for (const site of Array.isArray(sites) ? sites : []) {
+    const address = getSiteAddress(site);
+    if (site?.simpro_site_id) addresses.set(site.simpro_site_id, address);
+    if (site?.site_name && !addresses.has(site.site_name)) {
+      addresses.set(site.site_name, address);
+    }
+  }
+  return addresses;
 }
 
-// ---- service sections ----
-const getChuteCleaningContent = (sites, frequency) => {
-  if (frequency == null) return "";
-  const services = getChuteCleaningServices(sites, "chute_cleaning");
-  if (!services.length) return "";
+function siteAddressOf(addresses, siteId, siteName) {
+  return addresses?.get(siteId) ?? addresses?.get(siteName) ?? "";
+}
 
-  // Group services by site
-  const groupedBySite = {};
+// Groups a service type's items by site, then by building, keeping payload order
+function groupServicesBySiteAndBuilding(services) {
+  const groupedBySite = new Map();
+  const siteIds = new Map();
   for (const service of services) {
     const siteName = service?.site_name ?? "";
-    if (!groupedBySite[siteName]) {
-      groupedBySite[siteName] = [];
+    if (!groupedBySite.has(siteName)) {
+      groupedBySite.set(siteName, new Map());
+      siteIds.set(siteName, service?.site_id ?? null);
     }
-    groupedBySite[siteName].push(service);
-  }
-
-  const siteGroups = Object.entries(groupedBySite);
-  const items = siteGroups
-    .map(([siteName, siteServices], siteIdx) => {
-      const isLastSite = siteIdx === siteGroups.length - 1;
-      const siteHeader = `
-        <div
-          class="avoid-break"
-          style="
-          ${isLastSite && siteServices.length === 0 ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-            background-color: #f5c644;
-            color: #ffffff;
-            padding:10px;
-            padding-bottom:5px;
-          "
-        >
-          <div><b>${siteName}</b></div>
-        </div>
-      `;
-
-      const buildingItems = siteServices
-        .map((service, buildingIdx) => {
-          const isLastBuilding = buildingIdx === siteServices.length - 1;
-          const isLastItem = isLastSite && isLastBuilding;
-          const price = getNumber(service?.price);
-          const levels = service?.levels ?? "";
-          const bName = service?.building_name ?? "";
-          
-          return `
-            <div
-              class="avoid-break"
-              style="
-                ${isLastItem ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-                padding:10px;
-                padding-left:20px;
-                display:flex;
-                flex-direction:column;
-                align-items:center;
-                gap:10px;
-              "
-            >
-              <div><b>${bName}</b></div>
-              <div>${price ? `$${formatPrice(price)} + GST (Per Chute)` : ""}</div>
-              <div><b>${levels ? `(Up to ${levels} Levels)` : ""}</b></div>
-              <div><b>*Any Extra Levels will be invoiced <br/> accordingly</b></div>
-            </div>
-          `;
-        })
-        .join("");
-
-      return siteHeader + buildingItems;
-    })
-    .join("");
-
-  return `
-    <div class="service-section"
-         style="border:1px solid black; border-top:none;">
-      <div style="width:30%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        <b>Waste Chute Cleaning</b>
-      </div>
-      <div style="width:15%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        Quarterly
-      </div>
-      <div style="width:35%; text-align:center; min-height:45px; border-right:1px solid black;">
-        ${items}
-      </div>
-      ${frequencyChecklistHTML(frequency, {
-        visible: ["quarterly", "yearly", "six-monthly"],
-      })}
-    </div>
-  `;
-};
-
-function summarizeEquipmentMaintenanceByBuilding(sites) {
-  const results = [];
-  for (const site of sites ?? []) {
-    const siteName = (site?.site_name || "Unknown Site").trim();
-    const buildings = site?.buildings ?? [];
-    for (const b of buildings) {
-      const rawBName = (b?.name ?? "").trim();
-      const buildingName = rawBName || "";
-      const agg = Object.create(null);
-      const services = b?.services ?? [];
-      for (const s of services) {
-        if (!s || s.type !== "equipment_maintenance") continue;
-        const equipmentKey = s.equipment || "unknown-equipment";
-        const label = s.equipment_label ?? null;
-        const priceNumRaw = getNumber(s.price);
-        const priceNum = Number.isFinite(priceNumRaw) ? priceNumRaw : 0;
-        if (!agg[equipmentKey]) {
-          agg[equipmentKey] = {
-            equipment: equipmentKey,
-            equipmentLabel: label,
-            count: 0,
-            maxPrice: -Infinity,
-          };
-        }
-        const entry = agg[equipmentKey];
-        entry.count += Number(s.quantity ?? 0);
-        if (priceNum > entry.maxPrice) entry.maxPrice = priceNum;
-        if (!entry.equipmentLabel && label) entry.equipmentLabel = label;
-      }
-      const equipment = Object.values(agg)
-        .map((e) => ({
-          equipment: e.equipment,
-          equipmentLabel: e.equipmentLabel || null,
-          count: e.count,
-          maxPrice: Number(
-            (Number.isFinite(e.maxPrice) ? e.maxPrice : 0)
-          ),
-        }))
-        .sort((a, b) => String(a.equipment).localeCompare(String(b.equipment)));
-      if (equipment.length > 0) {
-        results.push({ site_name: siteName, building_name: buildingName, equipment });
-      }
+    const buildings = groupedBySite.get(siteName);
+    const buildingKey = service?.building_id ?? service?.building_name ?? "";
+    if (!buildings.has(buildingKey)) {
+      buildings.set(buildingKey, {
+        building_name: service?.building_name ?? "",
+        services: [],
+      });
     }
+    buildings.get(buildingKey).services.push(service);
   }
-  return results;
+  return [...groupedBySite].map(([siteName, buildings]) => ({
+    siteName,
+    siteId: siteIds.get(siteName),
+    buildings: [...buildings.values()],
+  }));
 }
 
-const getEquipmentContentGroupBySite = (sites, frequency) => {
-  if (frequency == null) return "";
-  const services = summarizeEquipmentMaintenanceByBuilding(sites);
+// Catalogue copy may contain "\n" for a forced line break
+function textLineView(text, bold) {
+  if (text == null || text === "") return null;
+  return { text: true, lines: String(text).split("\n"), bold: !!bold };
+}
 
-  // Group services by site
-  const groupedBySite = {};
-  for (const service of services) {
-    const siteName = service?.site_name ?? "";
-    if (!groupedBySite[siteName]) {
-      groupedBySite[siteName] = [];
+// One entry of a catalogue `lines` list for a single service
+function serviceLineView(
+  line,
+  service,
+  {
+    entry,
+    frequency,
+    units,
+    profile = DEFAULT_LOCALE_PROFILE,
+    t = DEFAULT_TRANSLATOR,
+  }
+) {
+  switch (line?.kind) {
+    case "quantity": {
+      const qty = getServiceQuantityValue(entry, service, units) ?? 0;
+      const label =
+        pickField(service, line.labelField) || t("services.equipment");
+      return {
+        quantity: true,
+        count: qty,
+        qty: t("services.quantity", { count: qty }),
+        label,
+      };
     }
-    groupedBySite[siteName].push(service);
+    case "price": {
+      const { listPrice, unitPrice, adjustment } = getServicePricing(service);
+      return {
+        price: true,
+        amount: listPrice || adjustment ? formatMoney(unitPrice, profile) : "",
+        // negotiated prices show the struck-through list price before them
+        listAmount: adjustment ? formatMoney(listPrice, profile) : "",
+        reason: adjustment?.reason ?? "",
+        suffix: line.suffix ?? "",
+      };
+    }
+    case "field": {
+      const raw = service?.[line.key];
+      const text = line.template
+        ? fillTemplate(line.template, service, raw)
+        : raw ?? "";
+      return textLineView(text, line.bold);
+    }
+    case "text":
+      return textLineView(line.text, line.bold);
+    case "units": {
+      const unit = getNumber(getServiceQuantityValue(entry, service, units));
+      const value = normalizeFrequency(frequency) === "none" ? "" : unit || "";
+      return { units: true, value };
+    }
+    default:
+      return null;
   }
+}
 
-  const siteGroups = Object.entries(groupedBySite);
-  const items = siteGroups
-    .map(([siteName, siteServices], siteIdx) => {
-      const isLastSite = siteIdx === siteGroups.length - 1;
-      const siteHeader = `
-        <div
-          class="avoid-break"
-          style="
-           ${isLastSite && siteServices.length === 0 ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-            background-color: #f5c644;
-            color: white;
-            padding:10px;
-            padding-bottom:5px;
-          "
-        >
-          <div><b>${siteName}</b></div>
-        </div>
-      `;
-
-      const buildingItems = siteServices
-        .map((service, buildingIdx) => {
-          const isLastBuilding = buildingIdx === siteServices.length - 1;
-          const isLastItem = isLastSite && isLastBuilding;
-          const buildingName = service?.building_name || "";
-          const equipmentLines =
-            (service?.equipment || [])
-              .map((e) => {
-                const label = e?.equipmentLabel || e?.equipment || "Equipment";
-                const count = e?.count ?? 0;
-                const maxPrice = Number(e?.maxPrice || 0);
-                return `<div>${count} x <b>${label}</b><div>${formatMoney(maxPrice)} + GST (Per System)</div></div>`;
-              })
-              .join("") || ``;
-
-          return `
-            <div
-              class="avoid-break"
-              style="
-                ${isLastItem ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-                padding:10px;
-                padding-left:20px;
-                display:flex;
-                flex-direction:column;
-                align-items:center;
-                gap:6px;
-              "
-            >
-              <div><b>${buildingName}</b></div>
-              <div style="text-align:center; display:flex; flex-direction:column; gap:6px;">
-                ${equipmentLines}
-              </div>
-            </div>
-          `;
-        })
-        .join("");
-
-      return siteHeader + buildingItems;
-    })
-    .join("");
-
-  return `
-    <div class="service-section" style="border:1px solid black;">
-      <div style="width:30%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        <b>Equipment Preventative<br/>Maintenance</b>
-      </div>
-      <div style="width:15%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        Quarterly
-      </div>
-      <div style="width:35%; text-align:center; min-height:45px; border-right:1px solid black;">
-        ${items}
-      </div>
-      ${frequencyChecklistHTML(frequency, {
-        visible: ["quarterly", "yearly", "six-monthly"],
-      })}
-    </div>
-  `;
-};
+// Quantity and priced amounts (in cents) of a set of services
+function sumServices(entry, services, units) {
+  let quantity = 0;
+  let priceCents = 0;
+  let listCents = 0;
+  const reasons = new Set();
+  for (const s of services) {
+    const q = getNumber(getServiceQuantityValue(entry, s, units));
+    const pricing = getServicePricing(s);
+    quantity += q;
+    priceCents += multiplyCents(toCents(pricing.unitPrice), q);
+    listCents += multiplyCents(toCents(pricing.listPrice), q);
+    if (pricing.adjustment?.reason) reasons.add(pricing.adjustment.reason);
+  }
+  return { quantity, priceCents, listCents, reasons: [...reasons] };
+}
 
-const getDoorInspectionContent = (sites, frequency) => {
-  if (frequency == null) return "";
-  const services = getChuteCleaningServices(sites, "hopper_door_inspection");
-  if (!services.length) return "";
+function isNegotiated(listPrice, price) {
+  return toCents(listPrice) !== toCents(price);
+}
 
-  // Group services by site
-  const groupedBySite = {};
-  for (const service of services) {
-    const siteName = service?.site_name ?? "";
-    if (!groupedBySite[siteName]) {
-      groupedBySite[siteName] = [];
+// One row per groupBy value and unit price, in payload order
+function breakdownItemsView(
+  entry,
+  services,
+  units,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  const { groupBy } = entry.buildingSummary;
+  const suffix = (entry.lines ?? []).find((l) => l?.kind === "price")?.suffix;
+  const groups = new Map();
+  for (const s of services) {
+    const label = String(pickField(s, groupBy) || "").trim();
+    const { listPrice, unitPrice } = getServicePricing(s);
+    const key = JSON.stringify([label, listPrice, unitPrice]);
+    if (!groups.has(key)) {
+      groups.set(key, { label, listPrice, unitPrice, services: [] });
     }
-    groupedBySite[siteName].push(service);
+    groups.get(key).services.push(s);
   }
+  return [...groups.values()].map((g) => {
+    const { quantity, reasons } = sumServices(entry, g.services, units);
+    return {
+      count: quantity,
+      qty: t("services.quantity", { count: quantity }),
+      label: g.label,
+      amount: formatMoney(g.unitPrice, profile),
+      listAmount: isNegotiated(g.listPrice, g.unitPrice)
+        ? formatMoney(g.listPrice, profile)
+        : "",
+      reason: reasons.join("; "),
+      suffix: suffix ?? "",
+    };
+  });
+}
 
-  const siteGroups = Object.entries(groupedBySite);
-  const items = siteGroups
-    .map(([siteName, siteServices], siteIdx) => {
-      const isLastSite = siteIdx === siteGroups.length - 1;
-      const isFirstSite = siteIdx === 0;
-      const siteHeader = `
-        <div
-          class="avoid-break"
-          style="
-            ${isFirstSite ? "border-top:1px solid black;" : ""}
-            ${isLastSite && siteServices.length === 0 ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-            background-color: #f5c644;
-            color: #ffffff;
-            padding:10px;
-            padding-bottom:5px;
-          "
-        >
-          <div><b>${siteName}</b></div>
-        </div>
-      `;
-
-      const buildingItems = siteServices
-        .map((service, buildingIdx) => {
-          const isLastBuilding = buildingIdx === siteServices.length - 1;
-          const isLastItem = isLastSite && isLastBuilding;
-          const price = getNumber(service?.price);
-          const levels = service?.levels ?? "";
-          const bName = service?.building_name ?? "";
-          
-          return `
-            <div
-              class="avoid-break"
-              style="
-                ${isLastItem ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-                padding:10px;
-                padding-left:20px;
-                display:flex;
-                flex-direction:column;
-                align-items:center;
-                gap:10px;
-              "
-            >
-              <div><b>${bName}</b></div>
-              <div>${price ? `$${formatPrice(price)} + GST (Per Chute)` : ""}</div>
-              <div><b>${levels ? `(Up to ${levels} Levels)` : ""}</b></div>
-              <div><b>*Any Extra Levels will be invoiced <br/> accordingly</b></div>
-            </div>
-          `;
-        })
-        .join("");
-
-      return siteHeader + buildingItems;
-    })
-    .join("");
-
-  return `
-    <div class="service-section" style="border:1px solid black;">
-      <div style="width:30%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        <b>Self-Closing Hopper Door<br/>Inspection</b>
-      </div>
-      <div style="width:15%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        Quarterly
-      </div>
-      <div style="width:35%; text-align:center; min-height:45px; border-right:1px solid black;">
-        ${items}
-      </div>
-      ${frequencyChecklistHTML(frequency, {
-        visible: ["quarterly", "yearly", "six-monthly"],
-      })}
-    </div>
-  `;
-};
+// Building total (catalogue `buildingSummary`), itemised for "breakdown"
+function buildingTotalView(
+  entry,
+  services,
+  units,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  const summary = entry.buildingSummary;
+  const total = sumServices(entry, services, units);
+  const items =
+    summary.kind === "breakdown"
+      ? breakdownItemsView(entry, services, units, profile, t)
+      : [];
+  return {
+    items,
+    subtotal: t("services.subtotal"),
+    count: total.quantity,
+    qty: t("services.quantity", { count: total.quantity }),
+    noun: nounFor(summary.noun ?? ["item", "items"], total.quantity, t),
+    amount: formatCents(total.priceCents, profile),
+    listAmount:
+      total.listCents !== total.priceCents
+        ? formatCents(total.listCents, profile)
+        : "",
+    // itemised rows carry their own reasons
+    reason: items.length ? "" : total.reasons.join("; "),
+  };
+}
 
-const getWasteRoomCleanContent = (sites, frequency) => {
-  if (frequency == null) return "";
-  const services = getChuteCleaningServices(sites, "waste_room_pressure_clean");
-  if (!services.length) return "";
+/**
+ * One row of the schedule of services, or null when the service has no
+ * frequency field in the payload or no services on any site.
+ */
+function getServiceSectionView(
+  entry,
+  sites,
+  frequency,
+  {
+    frequencyModel = DEFAULT_FREQUENCY_MODEL,
+    odourControlUnits = {},
+    siteAddresses = getSiteAddresses(sites),
+    profile = DEFAULT_LOCALE_PROFILE,
+    t = DEFAULT_TRANSLATOR,
+  } = {}
+) {
+  if (!entry || frequency == null) return null;
+  const services = getServices(sites, entry.type).items;
+  if (!services.length) return null;
+
+  const ctx = { entry, frequency, units: odourControlUnits, profile, t };
+  const siteGroups = groupServicesBySiteAndBuilding(services);
+  const lastSite = siteGroups.length - 1;
+  const disclaimer = textLineView(entry.disclaimer, true);
+
+  const recommended = getFrequencyLabel(entry.recommendedFrequency, frequencyModel);
+  const selected = getFrequencyLabel(frequency, frequencyModel);
+
+  return {
+    type: entry.type,
+    titleLines: entry.titleLines ?? [entry.title],
+    recommended,
+    // shown when it differs so the row never contradicts the checklist
+    selected:
+      selected && selected !== recommended
+        ? t("services.selected", { frequency: selected })
+        : "",
+    sites: siteGroups.map(({ siteName, siteId, buildings }, siteIdx) => ({
+      name: siteName,
+      address: siteAddressOf(siteAddresses, siteId, siteName),
+      buildings: buildings.map((building, buildingIdx) => ({
+        name: building.building_name,
+        isLast: siteIdx === lastSite && buildingIdx === buildings.length - 1,
+        summary: entry.buildingSummary
+          ? buildingTotalView(
+              entry,
+              building.services,
+              odourControlUnits,
+              profile,
+              t
+            )
+          : null,
+        services: entry.buildingSummary
+          ? []
+          : building.services.map((s) => ({
+              lines: (entry.lines ?? [])
+                .map((line) => serviceLineView(line, s, ctx))
+                .filter(Boolean),
+            })),
+        disclaimer,
+      })),
+    })),
+    checklist: getFrequencyChecklist(frequency, {
+      visible: entry.allowedFrequencies,
+      model: frequencyModel,
+    }),
+  };
+}
 
-  // Group services by site
-  const groupedBySite = {};
-  for (const service of services) {
-    const siteName = service?.site_name ?? "";
-    if (!groupedBySite[siteName]) {
-      groupedBySite[siteName] = [];
+// Every catalogue service with a frequency field present in the payload
+function getServicesView(
+  sites,
+  data,
+  {
+    catalogue = getServiceCatalogue(),
+    frequencyModel = DEFAULT_FREQUENCY_MODEL,
+    profile = DEFAULT_LOCALE_PROFILE,
+    t = DEFAULT_TRANSLATOR,
+  } = {}
+) {
+  const siteAddresses = getSiteAddresses(sites);
+  return Object.values(catalogue)
+    .map((entry) =>
+      getServiceSectionView(
+        entry,
+        sites,
+        data?.[entry.frequencyField] ?? null,
+        {
+          frequencyModel,
+          odourControlUnits: data?.odourControlUnits || {},
+          siteAddresses,
+          profile,
+          t,
+        }
+      )
+    )
+    .filter(Boolean);
+}
+
+// ---- unscheduled rates ----
+// Rows of the unscheduled rates table: the payload's rate, its wording, row
+// height, whether the amounts carry their call-out / thereafter notes, and
+// which amounts are marked with the footnote "*"
+const UNSCHEDULED_RATE_ROWS = [
+  {
+    rate: "normalWorkingHours",
+    label: "rates.normalHours",
+    times: "rates.normalHoursTimes",
+    height: 45,
+    notes: false,
+    starred: [],
+  },
+  {
+    rate: "afterHoursWeekday",
+    label: "rates.afterHours",
+    times: "rates.weekdayTimes",
+    height: 60,
+    notes: true,
+    starred: ["callOutFee"],
+  },
+  {
+    rate: "afterHoursWeekend",
+    label: "rates.afterHours",
+    times: "rates.weekendTimes",
+    height: 50,
+    notes: true,
+    starred: ["callOutFee"],
+  },
+  {
+    rate: "wasteBlockage",
+    label: "rates.wasteBlockage",
+    times: "rates.wasteBlockageTimes",
+    height: 60,
+    notes: true,
+    starred: ["callOutFee", "hourlyRate"],
+  },
+];
+
+/** Unscheduled rates table, or null when the payload has none. */
+function getUnscheduledRatesView(
+  unscheduledRates,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  if (!unscheduledRates) return null;
+
+  // validated payloads always parse; anything else is printed as given
+  const fmt = (price) => {
+    try {
+      return formatMoney(price, profile);
+    } catch {
+      return String(price ?? "");
     }
-    groupedBySite[siteName].push(service);
-  }
+  };
+  // messages may break lines with "\n"
+  const lines = (key) => String(t(key)).split("\n");
+  const amount = (row, field, note) => ({
+    amount: t("rates.plusTax", {
+      amount: fmt(unscheduledRates[row.rate]?.[field]),
+      tax: profile.taxName,
+    }),
+    starred: row.starred.includes(field),
+    note: row.notes ? lines(note) : [],
+  });
 
-  const siteGroups = Object.entries(groupedBySite);
-  const items = siteGroups
-    .map(([siteName, siteServices], siteIdx) => {
-      const isLastSite = siteIdx === siteGroups.length - 1;
-      const siteHeader = `
-        <div
-          class="avoid-break"
-          style="
-           ${isLastSite && siteServices.length === 0 ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-            background-color: #f5c644;
-            color: #ffffff;
-            padding:10px;
-            padding-bottom:5px;
-          "
-        >
-          <div><b>${siteName}</b></div>
-        </div>
-      `;
-
-      const buildingItems = siteServices
-        .map((service, buildingIdx) => {
-          const isLastBuilding = buildingIdx === siteServices.length - 1;
-          const isLastItem = isLastSite && isLastBuilding;
-          const price = getNumber(service?.price);
-          const areaLabel = service?.area_label ?? "";
-          const bName = service?.building_name ?? "";
-          
-          return `
-            <div
-              class="avoid-break"
-              style="
-                ${isLastItem ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-                padding:10px;
-                padding-left:20px;
-                display:flex;
-                flex-direction:column;
-                align-items:center;
-                gap:10px;
-              "
-            >
-              <div><b>${bName}</b></div>
-              <div>${price ? `$${formatPrice(price)} + GST` : ""}</div>
-              <div><b>${areaLabel}</b></div>
-              <div><b>(Per Waste Room)</b></div>
-            </div>
-          `;
-        })
-        .join("");
-
-      return siteHeader + buildingItems;
-    })
-    .join("");
-
-  return `
-    <div class="service-section" style="border:1px solid black;">
-      <div style="width:30%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        <b>Waste Room High Pressure<br/>Clean</b>
-      </div>
-      <div style="width:15%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        Quarterly
-      </div>
-      <div style="width:35%; text-align:center; min-height:45px; border-right:1px solid black;">
-        ${items}
-      </div>
-     ${frequencyChecklistHTML(frequency, {
-       visible: ["quarterly", "yearly", "six-monthly"],
-     })}
-    </div>
-  `;
-};
+  return {
+    rows: UNSCHEDULED_RATE_ROWS.map((row) => ({
+      height: `${row.height}px`,
+      label: lines(row.label),
+      times: lines(row.times),
+      callOut: amount(row, "callOutFee", "rates.callOut"),
+      hourly: amount(row, "hourlyRate", "rates.thereafter"),
+    })),
+  };
+}
 
-function summarizeBinCleaningByBuilding(sites) {
-  const results = [];
-  for (const site of sites ?? []) {
-    const siteName = (site?.site_name || "Unknown Site").trim();
-    const buildings = site?.buildings ?? [];
-    for (const b of buildings) {
-      const rawBName = (b?.name ?? "").trim();
-      const buildingName = rawBName || "";
-      const services = b?.services ?? [];
-      
-      let totalQuantity = 0;
-      let totalPrice = 0;
-      
-      for (const s of services) {
-        if (!s || s.type !== "bin_cleaning") continue;
-        const quantity = Number(s.quantity ?? 0);
-        const priceNumRaw = getNumber(s.price);
-        const priceNum = Number.isFinite(priceNumRaw) ? priceNumRaw : 0;
-        
-        totalQuantity += quantity;
-        totalPrice += priceNum * quantity;
-      }
-      
-      if (totalQuantity > 0) {
-        results.push({ 
-          site_name: siteName,
-          building_name: buildingName, 
-          totalQuantity,
-          totalPrice: Number(totalPrice.toFixed(2))
-        });
-      }
-    }
-  }
-  return results;
+// ---- incentives ----
+/** Incentive tier for the selected services and its perks, or null. */
+function getIncentivesView({
+  frequencies = {},
+  catalogue = getServiceCatalogue(),
+  policy = DEFAULT_PRICING_POLICY,
+  t = DEFAULT_TRANSLATOR,
+} = {}) {
+  const serviceCount = countSelectedServices(frequencies, catalogue);
+  const tier = getTier(serviceCount, policy);
+  if (!tier) return null;
+  return {
+    title: t("incentives.title"),
+    tierHeading: t("incentives.tier"),
+    perksHeading: t("incentives.perks"),
+    tier: tier.name,
+    perks: getTierPerks(tier),
+  };
 }
 
-const getBinCleaningContentGroupBySite = (sites, frequency) => {
-  if (frequency == null) return "";
-  const services = summarizeBinCleaningByBuilding(sites);
+// ---- pricing summary ----
+// Contract value rows: the complimentary service waived from the contract
+// charged in full, then the totals ex and inc tax
+function getContractTotalsView(
+  quote,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  const contract = quote?.contract;
+  if (!contract) return [];
+  const money = (amount) => formatMoney(amount, profile);
+  const tax = profile.taxName;
+  const free = contract.complimentary;
+  const service = quote.lineItems?.find((l) => l.type === free?.type)?.label;
+
+  return [
+    free?.amount > 0 && {
+      label: t("pricing.contractSubtotal", { tax }),
+      amount: money(contract.subtotalExGst),
+    },
+    free?.amount > 0 && {
+      label: t("pricing.complimentary", { service, count: free.months }),
+      amount: `-${money(free.amount)}`,
+    },
+    {
+      label: t("pricing.contractTotalExTax", { tax }),
+      amount: money(contract.totalExGst),
+    },
+    {
+      label: t("pricing.contractTotal", { tax }),
+      amount: money(contract.total),
+    },
+  ].filter(Boolean);
+}
 
-  // Group services by site
-  const groupedBySite = {};
-  for (const service of services) {
-    const siteName = service?.site_name ?? "";
-    if (!groupedBySite[siteName]) {
-      groupedBySite[siteName] = [];
-    }
-    groupedBySite[siteName].push(service);
-  }
+/**
+ * Itemised pricing table with its annual and contract totals, or null when
+ * nothing is priced.
+ */
+function getPricingSummaryView(
+  quote,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  if (!quote?.lineItems?.length) return null;
+
+  const money = (amount) => formatMoney(amount, profile);
+  const tax = profile.taxName;
+  const taxPct = `${Math.round(quote.gst.rate * 10000) / 100}%`;
+  const totals = [
+    { label: t("pricing.subtotal"), amount: money(quote.subtotal) },
+    quote.discount.amount && {
+      label: t("pricing.discount", {
+        tier: quote.discount.tier ?? "",
+        pct: quote.discount.pct,
+      }),
+      amount: `-${money(quote.discount.amount)}`,
+    },
+    { label: t("pricing.totalExTax", { tax }), amount: money(quote.totalExGst) },
+    {
+      label: t("pricing.tax", { tax, rate: taxPct }),
+      amount: money(quote.gst.amount),
+    },
+    { label: t("pricing.totalIncTax", { tax }), amount: money(quote.total) },
+    // no contract value without a term to go with it
+    ...getContractTotalsView(quote, profile, t),
+  ].filter(Boolean);
+
+  return {
+    title: t("pricing.title"),
+    headings: {
+      service: t("pricing.service"),
+      location: t("pricing.location"),
+      unitPrice: t("pricing.unitPrice"),
+      quantity: t("pricing.quantity"),
+      visitsPerYear: t("pricing.visitsPerYear"),
+      annualCost: t("pricing.annualCost"),
+    },
+    rows: quote.lineItems.map((l) => ({
+      label: l.label,
+      detail: l.detail ?? "",
+      location: safeJoin([l.site_name, l.building_name], " – "),
+      listPrice: l.adjustment ? money(l.listPrice) : "",
+      unitPrice: money(l.unitPrice),
+      quantity: l.quantity,
+      visitsPerYear: l.visitsPerYear,
+      annualCost: money(l.annualCost),
+    })),
+    totals,
+  };
+}
 
-  const siteGroups = Object.entries(groupedBySite);
-  const items = siteGroups
-    .map(([siteName, siteServices], siteIdx) => {
-      const isLastSite = siteIdx === siteGroups.length - 1;
-      const isFirstSite = siteIdx === 0;
-      const siteHeader = `
-        <div
-          class="avoid-break"
-          style="
-            ${isFirstSite ? "border-top:1px solid black;" : ""}
-            ${isLastSite && siteServices.length === 0 ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-            background-color: #f5c644;
-            color: #ffffff;
-            padding:10px;
-            padding-bottom:5px;
-          "
-        >
-          <div><b>${siteName}</b></div>
-        </div>
-      `;
-
-      const buildingItems = siteServices
-        .map((service, buildingIdx) => {
-          const isLastBuilding = buildingIdx === siteServices.length - 1;
-          const isLastItem = isLastSite && isLastBuilding;
-          const buildingName = service?.building_name || "";
-          const totalQuantity = service?.totalQuantity ?? 0;
-          const totalPrice = service?.totalPrice ?? 0;
-
-          return `
-            <div
-              class="avoid-break"
-              style="
-                ${isLastItem ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-                padding:10px;
-                padding-left:20px;
-                display:flex;
-                flex-direction:column;
-                align-items:center;
-                gap:6px;
-              "
-            >
-              <div><b>${buildingName}</b></div>
-              <div style="text-align:center; display:flex; flex-direction:column; gap:6px;">
-                <div>${totalQuantity} x ${totalQuantity === 1 ? "bin" : "bins"}</div>
-                <div>${formatMoney(totalPrice)} + GST</div>
-              </div>
-            </div>
-          `;
-        })
-        .join("");
-
-      return siteHeader + buildingItems;
-    })
-    .join("");
-
-  return `
-    <div class="service-section" style="border:1px solid black;">
-      <div style="width:30%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        <b>Wheelie Bin Cleaning</b>
-      </div>
-      <div style="width:15%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        Quarterly
-      </div>
-      <div style="width:35%; text-align:center; min-height:45px; border-right:1px solid black;">
-        ${items}
-      </div>
-      ${frequencyChecklistHTML(frequency, {
-        visible: ["quarterly", "yearly", "six-monthly"],
-      })}
-    </div>
-  `;
-};
+// ---- building x service matrix ----
+// Rows per matrix page; the column headings repeat on every page
+const MATRIX_ROWS_PER_PAGE = 14;
+// Share of the page width left for the service columns
+const MATRIX_SERVICE_WIDTH_PCT = 66;
+
+function matrixCellView(cell, width, frequencyModel, profile, t) {
+  if (!cell) return { width, empty: true };
+  return {
+    width,
+    quantity: t("matrix.quantity", {
+      count: formatNumber(cell.quantity, profile),
+    }),
+    frequency: getFrequencyLabel(cell.frequency, frequencyModel),
+    amount: formatMoney(cell.annualCost, profile),
+  };
+}
 
-const getOdourControlContent = (sites, frequency, units) => {
-  if (frequency == null) return "";
-  const services = getChuteCleaningServices(sites, "odour_control");
-  if (!services.length) return "";
+/**
+ * Summary grid of every building against every selected service type, split
+ * into pages of MATRIX_ROWS_PER_PAGE rows; totals close the last page.
+ * Null when nothing is priced.
+ */
+function getServiceMatrixView(
+  quote,
+  {
+    catalogue = getServiceCatalogue(),
+    frequencyModel = DEFAULT_FREQUENCY_MODEL,
+    profile = DEFAULT_LOCALE_PROFILE,
+    t = DEFAULT_TRANSLATOR,
+  } = {}
+) {
+  const matrix = getServiceMatrix(quote?.lineItems, catalogue);
+  if (!matrix.rows.length) return null;
+
+  const width = `${
+    Math.floor((MATRIX_SERVICE_WIDTH_PCT / matrix.columns.length) * 100) / 100
+  }%`;
+  const rows = matrix.rows.map((r) => ({
+    site: r.site_name,
+    building: r.building_name ?? "",
+    cells: r.cells.map((c) =>
+      matrixCellView(c, width, frequencyModel, profile, t)
+    ),
+    amount: formatMoney(r.annualCost, profile),
+  }));
+
+  const pageCount = Math.ceil(rows.length / MATRIX_ROWS_PER_PAGE);
+  return {
+    title: t("matrix.title"),
+    intro: t("matrix.intro", { tax: profile.taxName }),
+    headings: { site: t("matrix.site"), total: t("matrix.total") },
+    columns: matrix.columns.map((c) => ({ width, label: c.label })),
+    totals: matrix.columns.map((c) =>
+      matrixCellView(c, width, frequencyModel, profile, t)
+    ),
+    amount: formatMoney(matrix.annualCost, profile),
+    pages: Array.from({ length: pageCount }, (_, i) => ({
+      rows: rows.slice(i * MATRIX_ROWS_PER_PAGE, (i + 1) * MATRIX_ROWS_PER_PAGE),
+      pageLabel:
+        pageCount > 1
+          ? t("matrix.page", { page: i + 1, pages: pageCount })
+          : "",
+      continued: i > 0 ? t("matrix.continued") : "",
+      last: i === pageCount - 1,
+    })),
+  };
+}
 
-  // Group services by site
-  const groupedBySite = {};
-  for (const service of services) {
-    const siteName = service?.site_name ?? "";
-    if (!groupedBySite[siteName]) {
-      groupedBySite[siteName] = [];
+// ---- visit schedule ----
+// Services visited more often than monthly are listed by month with a count
+const MAX_LISTED_VISITS_PER_YEAR = 12;
+
+function visitListView(
+  service,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  if (service.visitsPerYear > MAX_LISTED_VISITS_PER_YEAR) {
+    const months = new Map();
+    for (const { date } of service.visits) {
+      const month = format(date, profile.monthFormat);
+      months.set(month, (months.get(month) ?? 0) + 1);
     }
-    groupedBySite[siteName].push(service);
+    return [...months].map(([month, count]) =>
+      t("visits.month", { month, count })
+    );
   }
+  return service.visits.map(
+    (v) => `${format(v.date, profile.dateFormat)}${v.movedFrom ? "*" : ""}`
+  );
+}
 
-  const siteGroups = Object.entries(groupedBySite);
-  const items = siteGroups
-    .map(([siteName, siteServices], siteIdx) => {
-      const isLastSite = siteIdx === siteGroups.length - 1;
-      const siteHeader = `
-        <div
-          class="avoid-break"
-          style="
-            ${isLastSite && siteServices.length === 0 ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-            background-color: #f5c644;
-            color: #ffffff;
-            padding:10px;
-            padding-bottom:5px;
-          "
-        >
-          <div><b>${siteName}</b></div>
-        </div>
-      `;
-
-      const buildingItems = siteServices
-        .map((service, buildingIdx) => {
-          const isLastBuilding = buildingIdx === siteServices.length - 1;
-          const isLastItem = isLastSite && isLastBuilding;
-          const price = getNumber(service?.price);
-          const bName = service?.building_name ?? "";
-          const unit = getNumber(units?.[service?.id] ?? "");
-          
-          return `
-            <div
-              class="avoid-break"
-              style="
-                ${isLastItem ? "border-bottom:none;" : "border-bottom:1px solid black;"}
-                padding:10px;
-                padding-left:20px;
-                display:flex;
-                flex-direction:column;
-                align-items:center;
-                gap:10px;
-              "
-            >
-              <div><b>${bName}</b></div>
-              <div>${price ? `$${formatPrice(price)} + GST` : ""}</div>
-              <div>(Per Unit, No Installation cost. Min 2 year contract)</div>
-              <div><b>*240V 10AMP Outlet Must be Supplied in Waste Room</b></div>
-              <div style="display:flex; flex-direction:row; align-items:center; gap:10px;">
-                <div style="width:55px; height:30px; border:1px solid black; display: flex; justify-content: center; align-items: center; font-weight: bold;">${
-                  frequency == "none" ? "" : unit || ""
-                }</div>
-                <div>UNITS</div>
-              </div>
-            </div>
-          `;
-        })
-        .join("");
-
-      return siteHeader + buildingItems;
-    })
-    .join("");
-
-  return `
-    <div class="service-section" style="border:1px solid black;">
-      <div style="width:30%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        <b>EF Neutraliser <br/><br/>(Odour Management System)</b>
-      </div>
-      <div style="width:15%; text-align:center; border-right:1px solid black; min-height:45px; padding-top:5px;">
-        Quarterly
-      </div>
-      <div style="width:35%; text-align:center; min-height:45px; border-right:1px solid black;">
-        ${items}
-      </div>
-      ${frequencyChecklistHTML(frequency, { visible: ["quarterly"] })}
-    </div>
-  `;
-};
-
-// ---- unscheduled rates ----
-function getUnscheduledRatesContent(unscheduledRates) {
-  if (!unscheduledRates) return "";
-
-  const rates = {
-    normalWorkingHours: unscheduledRates?.normalWorkingHours,
-    afterHoursWeekday: unscheduledRates?.afterHoursWeekday,
-    afterHoursWeekend: unscheduledRates?.afterHoursWeekend,
-    wasteBlockage: unscheduledRates?.wasteBlockage,
-  };
+/**
+ * Visit schedule page: planned visits per site, building and service, or
+ * null when there are no dates or no scheduled services. `schedules` holds
+ * each site's schedule, in payload order (see getSiteVisitSchedules).
+ */
+function getVisitScheduleView(
+  schedules,
+  sites,
+  {
+    catalogue = getServiceCatalogue(),
+    frequencyModel = DEFAULT_FREQUENCY_MODEL,
+    skipHolidays = false,
+    profile = DEFAULT_LOCALE_PROFILE,
+    t = DEFAULT_TRANSLATOR,
+  } = {}
+) {
+  if (!schedules?.length) return null;
+  const byType = schedules.map(
+    (schedule) => new Map(schedule.services.map((s) => [s.type, s]))
+  );
 
-  const fmt = (price) => {
-    const num = parseFloat(price);
-    return Number.isFinite(num) ? num.toFixed(2) : String(price ?? "");
+  // every scheduled service in payload order, with its site and building
+  const items = (Array.isArray(sites) ? sites : []).flatMap((site, i) =>
+    (site?.buildings ?? []).flatMap((b) =>
+      (b?.services ?? [])
+        .filter((s) => byType[i].has(s?.type))
+        .map((s) => ({
+          type: s.type,
+          scheduled: byType[i].get(s.type),
+          site_name: site?.site_name ?? "",
+          site_id: site?.simpro_site_id ?? null,
+          building_id: b?.id ?? null,
+          building_name: b?.name || null,
+        }))
+    )
+  );
+  if (!items.length) return null;
+  const siteAddresses = getSiteAddresses(sites);
+  const { start, end } = schedules[0];
+
+  return {
+    title: t("visits.title"),
+    intro: t("visits.period", {
+      period: `${format(start, profile.dateFormat)} – ${format(
+        end,
+        profile.dateFormat
+      )}`,
+    }),
+    sites: groupServicesBySiteAndBuilding(items).map(
+      ({ siteName, siteId, buildings }) => ({
+        name: siteName,
+        address: siteAddressOf(siteAddresses, siteId, siteName),
+        buildings: buildings.map((building) => ({
+          name: building.building_name,
+          // one row per service type, however many units the building has
+          services: [
+            ...new Map(building.services.map((s) => [s.type, s.scheduled])),
+          ].map(([type, s]) => ({
+            label: catalogue[type]?.title ?? type,
+            frequency: getFrequencyLabel(s.frequency, frequencyModel),
+            count: t("visits.count", { count: s.visits.length }),
+            visits: visitListView(s, profile, t),
+          })),
+        })),
+      })
+    ),
+    holidayNote: skipHolidays ? t("visits.holidayNote") : "",
   };
+}
 
-  return `
-    <div class="section" style="border: 1px solid black; border-top: none">
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 45px;
-          padding-top: 5px;
-        "
-      >
-        <b>
-          <div>Normal Working Hours</div>
-          <div style="margin-top: 10px">(8.30am – 4.30pm)</div>
-        </b>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 45px;
-          padding-top: 5px;
-        "
-      >
-        $${fmt(rates.normalWorkingHours?.callOutFee)} + GST
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          height: 45px;
-          padding-top: 5px;
-        "
-      >
-        $${fmt(rates.normalWorkingHours?.hourlyRate)} + GST
-      </div>
-    </div>
-    <div class="section" style="border: 1px solid black; border-top: none">
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 60px;
-          padding-top: 5px;
-        "
-      >
-        <b>
-          <div>After Hours</div>
-          <div style="margin-top: 10px">
-            (Monday to Friday from 4:30pm and Saturday)
-          </div>
-        </b>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 60px;
-          padding-top: 5px;
-        "
-      >
-        <div>$${fmt(rates.afterHoursWeekday?.callOutFee)} + GST*</div>
-        <div style="margin-top: 10px">(3 hours including travel)</div>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          height: 60px;
-          padding-top: 5px;
-        "
-      >
-        <div>$${fmt(rates.afterHoursWeekday?.hourlyRate)} + GST</div>
-        <div style="margin-top: 10px">(Any time thereafter)</div>
-      </div>
-    </div>
-    <div class="section" style="border: 1px solid black; border-top: none">
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 50px;
-          padding-top: 5px;
-        "
-      >
-        <b>
-          <div>After Hours</div>
-          <div style="margin-top: 10px">(Sunday and Public Holidays)</div>
-        </b>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 50px;
-          padding-top: 5px;
-        "
-      >
-        $${fmt(rates.afterHoursWeekend?.callOutFee)} + GST*
-        <div style="margin-top: 10px">(3 hours including travel)</div>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          height: 50px;
-          padding-top: 5px;
-        "
-      >
-        $${fmt(rates.afterHoursWeekend?.hourlyRate)} + GST
-        <div style="margin-top: 10px">(Any time thereafter)</div>
-      </div>
-    </div>
-    <div class="section" style="border: 1px solid black; border-top: none">
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 60px;
-          padding-top: 5px;
-        "
-      >
-        <b>
-          <div>Waste Blockage</div>
-          <div style="margin-top: 10px">
-            (Normal Working Hours 8.30am – <br />4.30pm)
-          </div>
-        </b>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          border-right: 1px solid black;
-          height: 60px;
-          padding-top: 5px;
-        "
-      >
-        $${fmt(rates.wasteBlockage?.callOutFee)} + GST*
-        <div style="margin-top: 10px">(3 hours including travel)</div>
-      </div>
-      <div
-        style="
-          width: 33.33%;
-          text-align: center;
-          height: 60px;
-          padding-top: 5px;
-        "
-      >
-        $${fmt(rates.wasteBlockage?.hourlyRate)} + GST*
-        <div style="margin-top: 10px">(Any time thereafter)</div>
-      </div>
-    </div>
-  `;
+// ---- escalation schedule ----
+function formatPct(pct) {
+  return `${Math.round(pct * 100) / 100}%`;
 }
 
-// ---- incentives ----
-const getIncentivesContent = ({ frequencies = {} } = {}) => {
-  const norm = (v) => String(v ?? "").trim().toLowerCase();
-  const isSelected = (v) => {
-    const n = norm(v);
-    return n !== "" && n !== "none";
-  };
+/**
+ * Year-by-year pricing table for an escalating agreement, or null when the
+ * quote has no escalation. Periods need a valid start date.
+ */
+function getEscalationView(
+  quote,
+  startIso,
+  endIso,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  const schedule = quote?.contract?.escalation;
+  if (!schedule) return null;
+  const cpi = schedule.method === ESCALATION_METHODS.CPI;
+  const start = startIso ? parseISO(startIso) : null;
+  const end = endIso ? parseISO(endIso) : null;
+  const datesKnown = isValid(start) && isValid(end);
+
+  const years = schedule.years.map((y, i, all) => {
+    const isLast = i === all.length - 1;
+    let change = t("escalation.current");
+    if (y.increasePct) {
+      change = t(cpi ? "escalation.cpi" : "escalation.fixed", {
+        pct: formatPct(y.increasePct),
+      });
+    } else if (y.locked && y.fromMonth > 0) {
+      change = t("escalation.locked");
+    } else if (y.fromMonth > 0) {
+      change = t("escalation.noChange");
+    }
+    let period = "";
+    if (datesKnown) {
+      const from = addMonths(start, y.fromMonth);
+      const next = addMonths(start, y.fromMonth + 12);
+      const to = isLast ? end : addDays(next, -1);
+      period = `${format(from, profile.dateFormat)} – ${format(
+        to,
+        profile.dateFormat
+      )}`;
+    }
+    return {
+      label: t("escalation.year", { year: y.year }),
+      period,
+      change,
+      amount: formatMoney(y.totalExGst, profile),
+    };
+  });
 
-  const serviceCount = [
-    frequencies?.chuteCleaningFrequency,
-    frequencies?.equipmentMaintenanceFrequency,
-    frequencies?.selfClosingHopperDoorInspectionFrequency,
-    frequencies?.wasteRoomCleaningFrequency,
-    frequencies?.binCleaningFrequency,
-    frequencies?.odourControlFrequency,
-  ].filter(isSelected).length;
-
-  if (serviceCount < 3) return "";
-
-  let tier = "";
-  let incentives = [];
-
-  if (serviceCount === 3) {
-    tier = "BASIC";
-    incentives = [
-      "Price Lock Guarantee (24 Months)",
-      "Priority Response Within 8 Hours",
-      "Priority Booking",
-    ];
-  } else if (serviceCount > 3 && serviceCount < 6) {
-    tier = "ESSENTIAL";
-    incentives = [
-      "Price Lock Guarantee (24 Months)",
-      "Priority Response Within 8 Hours",
-      "Priority Booking",
-      "Flexible 21-Day Payment Terms",
-      "10% Discounts on Parts",
-      "5% Service Pricing Discounts",
-    ];
-  } else {
-    tier = "PREMIUM";
-    incentives = [
-      "Price Lock Guarantee (24 Months)",
-      "Priority Response Within 8 Hours",
-      "Priority Booking",
-      "Flexible 21-Day Payment Terms",
-      "15% Discounts on Parts",
-      "10% Service Pricing Discounts",
-      "Complimentary Odour Control (First 3 Months)",
-    ];
+  const notes = [];
+  if (schedule.priceLockMonths > 0) {
+    notes.push(
+      t("escalation.lockNote", { count: schedule.priceLockMonths })
+    );
+  }
+  if (cpi) {
+    notes.push(
+      t("escalation.cpiNote", { pct: formatPct(schedule.ratePct) })
+    );
   }
 
-  const tableHeader = `
-    <div class="section" style="margin-top:40px;">
-      <div><u><b>INCENTIVES:</b></u></div>
-    </div>
-    <div
-      class="section"
-      style="
-        margin-top:5px;
-        border:1px solid black;
-        background-color:#f5c644;
-        color:white;
-        display:flex;
-      "
-    >
-      <div
-        style="
-          width:30%;
-          text-align:center;
-          border-right:1px solid black;
-          min-height:22px;
-          padding-top:5px;
-          padding-left:10px;
-        "
-      >
-        <b>TIER</b>
-      </div>
-      <div
-        style="
-          width:70%;
-          text-align:center;
-          min-height:22px;
-          padding-top:5px;
-          padding-left:10px;
-        "
-      >
-        <b>INCENTIVES</b>
-      </div>
-    </div>
-  `;
-
-  const rowTemplate = ({ tierText, incentiveText }) => `
-    <div
-      class="section"
-      style="
-        border:1px solid black;
-        color:black;
-        border-top:none;
-        display:flex;
-      "
-    >
-      <div
-        style="
-          width:30%;
-          text-align:left;
-          border-right:1px solid black;
-          min-height:22px;
-          padding-top:5px;
-          padding-left:10px;
-        "
-      >
-        ${tierText}
-      </div>
-      <div
-        style="
-          width:70%;
-          text-align:left;
-          min-height:22px;
-          padding-top:5px;
-          padding-left:10px;
-        "
-      >
-        ${incentiveText}
-      </div>
-    </div>
-  `;
-
-  const rows = (incentives || [])
-    .map((inc, i) =>
-      rowTemplate({
-        tierText: i === 0 ? `<b>${tier}</b>` : "",
-        incentiveText: inc || "",
-      })
-    )
-    .join("");
+  const tax = profile.taxName;
+  return {
+    title: t("escalation.title"),
+    headings: {
+      year: t("escalation.yearHeading"),
+      period: t("escalation.period"),
+      change: t("escalation.change"),
+      amount: t("escalation.amount", { tax }),
+    },
+    years,
+    totalLabel: t("pricing.contractTotalExTax", { tax }),
+    total: formatMoney(quote.contract.totalExGst, profile),
+    notes,
+  };
+}
 
-  return tableHeader + rows;
-};
+// ---- per-site summary ----
+/** Annual cost per site for budgeting, or null when nothing is priced. */
+function getSiteSummaryView(
+  quote,
+  siteAddresses,
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  if (!quote?.sites?.length) return null;
+  const tax = profile.taxName;
+  return {
+    title: t("sites.title"),
+    headings: {
+      site: t("sites.site"),
+      subtotal: t("sites.subtotal"),
+      discount: t("sites.discount"),
+      total: t("sites.total", { tax }),
+    },
+    sites: quote.sites.map((site) => ({
+      name: site.site_name,
+      address: siteAddressOf(siteAddresses, site.site_id, site.site_name),
+      services: t("sites.services", { count: site.lines }),
+      buildings: t("sites.buildings", { count: site.buildings }),
+      subtotal: formatMoney(site.subtotal, profile),
+      discount: site.discountAmount
+        ? `-${formatMoney(site.discountAmount, profile)}`
+        : "–",
+      total: formatMoney(site.totalExGst, profile),
+    })),
+    totalLabel: t("pricing.totalExTax", { tax }),
+    total: formatMoney(quote.totalExGst, profile),
+  };
+}
 
-// ---- main template fill ----
-function fillData(html, data) {
-  const d = data ?? {};
+// ---- fixed labels ----
+// Headings and field labels of the template outside the data-driven sections
+function getTemplateLabels(
+  profile = DEFAULT_LOCALE_PROFILE,
+  t = DEFAULT_TRANSLATOR
+) {
+  const tax = profile.taxName;
+  return {
+    cover: {
+      companyName: t("cover.companyName"),
+      address: t("cover.address"),
+      postalAddress: t("cover.postalAddress"),
+      accountsEmails: t("cover.accountsEmails"),
+      accountPhone: t("cover.accountPhone"),
+      startDate: t("cover.startDate"),
+      endDate: t("cover.endDate"),
+      contractTerm: t("cover.contractTerm"),
+      contractTotal: t("cover.contractTotal", { tax }),
+      salesperson: t("cover.salesperson"),
+      proposalExpiry: t("cover.proposalExpiry"),
+    },
+    services: {
+      title: t("services.title"),
+      type: t("services.type"),
+      frequency: t("services.frequency"),
+      cost: t("services.cost"),
+      select: t("services.select"),
+      units: t("services.units"),
+    },
+    contacts: {
+      title: t("contacts.title"),
+      name: t("contacts.name"),
+      jobTitle: t("contacts.jobTitle"),
+      email: t("contacts.email"),
+      phone: t("contacts.phone"),
+      roles: t("contacts.roles"),
+    },
+    rates: {
+      title: t("rates.title"),
+      period: t("rates.period"),
+      callOut: t("rates.callOutFee"),
+      hourly: t("rates.hourlyRate"),
+      footnote: t("rates.footnote"),
+    },
+  };
+}
 
+// ---- main template fill ----
+/**
+ * Fills the agreement template.
+ * @param {string} html
+ * @param {object} data
+ * @param {object} [opts]
+ * @param {boolean} [opts.strict] throw UnresolvedPlaceholdersError instead of
+ *   leaving unresolved placeholders in the output
+ * @param {(report: object) => void} [opts.onReport] receives the fill report
+ * @param {"block"|"watermark"} [opts.invalidBusinessNumber] reject a payload
+ *   whose ABN/ACN or NZBN fails its checksum, or render it with a DRAFT
+ *   watermark
+ */
+function fillData(
+  html,
+  data,
+  {
+    strict = false,
+    onReport,
+    invalidBusinessNumber = INVALID_BUSINESS_NUMBER.WATERMARK,
+  } = {}
+) {
+  const report = createFillReport();
+  const d = report.trackData(data ?? {});
+
+  const profile = getLocaleProfile(d?.locale);
+  const t = createTranslator(d?.language, d?.messages);
   const companyName = d?.companyName ?? "";
-  const abn = d?.abn ?? "";
-  const address = safeJoin(
-    [
-      d?.businessStreetAddress,
-      d?.businessCity,
-      d?.businessPostcode,
-      d?.businessState,
-      d?.businessStreetAddress &&
-      d?.businessCity &&
-      d?.businessPostcode &&
-      d?.businessState
-        ? "Australia"
-        : "",
-    ],
-    ", "
-  );
+  const businessNumber = getBusinessNumber(d, profile.businessId);
+  const invalidNumber = !!businessNumber && !businessNumber.valid;
+  if (
+    invalidNumber &&
+    invalidBusinessNumber === INVALID_BUSINESS_NUMBER.BLOCK
+  ) {
+    throw new PayloadValidationError([
+      {
+        path: `$.${businessNumber.field}`,
+        message: `is not a valid ${businessNumber.type}`,
+      },
+    ]);
+  }
+  // otherwise every page carries a DRAFT watermark naming the problem
+  const draftReason = invalidNumber
+    ? t("draft.invalidNumber", { type: businessNumber.type })
+    : "";
+  const address = getBusinessAddress(d);
+  const postalAddress = getPostalAddress(d, t);
   const accountsEmail = d?.accountEmail ?? "";
   const phoneLine = safeJoin(
     [
       d?.accountMobile?.trim()
-        ? `Mobile: ${d.accountMobile.trim()}`
+        ? t("contact.mobile", { number: d.accountMobile.trim() })
+        : undefined,
+      d?.accountPhone?.trim()
+        ? t("contact.phone", { number: d.accountPhone.trim() })
         : undefined,
-      d?.accountPhone?.trim() ? `Phone: ${d.accountPhone.trim()}` : undefined,
     ],
     " | "
   );
 
-  const startDate = toDDMMYYYY(d?.serviceAgreement?.start_date ?? "");
-  const endDate = toDDMMYYYY(d?.serviceAgreement?.end_date ?? "");
-  const proposalExpiryDate = toDDMMYYYY(d?.serviceAgreement?.expire_at ?? "");
+  const startDate = formatDate(d?.serviceAgreement?.start_date, profile);
+  const endDate = formatDate(d?.serviceAgreement?.end_date, profile);
+  const proposalExpiryDate = formatDate(
+    d?.serviceAgreement?.expire_at,
+    profile
+  );
+
+  const frequencyModel = localizeFrequencyModel(
+    getFrequencyModel(d?.customFrequencies),
+    t
+  );
+  const catalogue = localizeCatalogue(
+    getServiceCatalogue(d?.serviceCatalogue),
+    t
+  );
+  const policy = localizePolicy(getPricingPolicy(d?.pricingPolicy), t);
+  const escalation = getEscalationPolicy(d?.serviceAgreement?.escalation);
+  const frequencies = Object.fromEntries(
+    Object.values(catalogue).map(({ frequencyField }) => [
+      frequencyField,
+      d?.[frequencyField] ?? null,
+    ])
+  );
+
+  const term = getContractTerm(
+    d?.serviceAgreement?.start_date,
+    d?.serviceAgreement?.end_date
+  );
+  const contractTerm = formatContractTerm(term, t);
 
-  const grand = computeGrandTotal({
+  const quote = computeQuote({
     sites: d?.serviceAgreement?.sites || [],
-    frequencies: {
-      chuteCleaningFrequency: d?.chuteCleaningFrequency ?? null,
-      equipmentMaintenanceFrequency: d?.equipmentMaintenanceFrequency ?? null,
-      selfClosingHopperDoorInspectionFrequency:
-        d?.selfClosingHopperDoorInspectionFrequency ?? null,
-      wasteRoomCleaningFrequency: d?.wasteRoomCleaningFrequency ?? null,
-      binCleaningFrequency: d?.binCleaningFrequency ?? null,
-      odourControlFrequency: d?.odourControlFrequency ?? null,
-    },
+    frequencies,
     odourControlUnits: d?.odourControlUnits || {},
-    getDiscount: getDiscountDefault,
+    policy,
     incentives: d?.serviceAgreement?.incentives ?? null,
+    gstRate: d?.gstRate ?? profile.taxRate,
+    term,
+    pricing: d?.serviceAgreement?.term_pricing ?? TERM_PRICING.PRORATE,
+    escalation,
+    frequencyModel,
+    catalogue,
   });
-  const contractTotal = grand === 0 || !grand ? "" : formatMoney(grand * 2);
+  // printed only alongside the term it covers
+  const grand = quote.contract?.totalExGst;
+  const contractTotal =
+    contractTerm && grand ? formatMoney(grand, profile) : "";
 
   const sites = d?.serviceAgreement?.sites || [];
-  const servicesHTML =
-    getChuteCleaningContent(sites, d?.chuteCleaningFrequency ?? null) +
-    getEquipmentContentGroupBySite(
-      sites,
-      d?.equipmentMaintenanceFrequency ?? null
-    ) +
-    getDoorInspectionContent(
-      sites,
-      d?.selfClosingHopperDoorInspectionFrequency ?? null
-    ) +
-    getWasteRoomCleanContent(sites, d?.wasteRoomCleaningFrequency ?? null) +
-    getBinCleaningContentGroupBySite(sites, d?.binCleaningFrequency ?? null) +
-    getOdourControlContent(
-      sites,
-      d?.odourControlFrequency ?? null,
-      d?.odourControlUnits || {}
-    );
+  const services = getServicesView(sites, d, {
+    catalogue,
+    frequencyModel,
+    profile,
+    t,
+  });
+
+  const skipHolidays = d?.serviceAgreement?.skip_public_holidays === true;
+  // each site keeps the public holidays of its own state
+  const visitSchedules = getSiteVisitSchedules({
+    sites,
+    holidayRegionOf: (site) =>
+      getHolidayRegion(getSiteAddressParts(site), profile.holidayRegion),
+    holidaysIn: (region) =>
+      skipHolidays
+        ? getHolidayDates(d?.serviceAgreement?.public_holidays, region, {
+            from: d?.serviceAgreement?.start_date,
+            to: d?.serviceAgreement?.end_date,
+          })
+        : null,
+    startIso: d?.serviceAgreement?.start_date,
+    endIso: d?.serviceAgreement?.end_date,
+    frequencies,
+    timeZone: profile.timeZone,
+    frequencyModel,
+    catalogue,
+  });
 
-  const siteNamesHTML = getCoverPageSitesNames(sites);
   const signName = d?.signFullName ?? "";
   const trimmedDataURL = d?.trimmedDataURL ?? "";
   const salesperson = d?.serviceAgreement?.salesperson ?? "";
-  const signatureHTML = trimmedDataURL
+  const signatureSrc = escapeUrl(trimmedDataURL, { allowDataImages: true });
+  const signatureHTML = signatureSrc
     ? `<div style="height:${IMAGE_ZONE_PX}px; display:flex; align-items:center; justify-content:flex-start;">
-         <img src="${trimmedDataURL}" alt="Signature"
+         <img src="${signatureSrc}" alt="${escapeHtml(t("signature.alt"))}"
               style="display:block; max-height:100%; max-width:100%; height:auto; width:auto; object-fit:contain;" />
        </div>`
     : `<div style="height:${IMAGE_ZONE_PX}px;"></div>`;
-  
-  const signatureDate = d.signatureDate
-
-  let incentivesHTML = "";
-  if (d?.serviceAgreement?.incentives) {
-    incentivesHTML = getIncentivesContent({
-      frequencies: {
-        chuteCleaningFrequency: d?.chuteCleaningFrequency ?? null,
-        equipmentMaintenanceFrequency: d?.equipmentMaintenanceFrequency ?? null,
-        selfClosingHopperDoorInspectionFrequency:
-          d?.selfClosingHopperDoorInspectionFrequency ?? null,
-        wasteRoomCleaningFrequency: d?.wasteRoomCleaningFrequency ?? null,
-        binCleaningFrequency: d?.binCleaningFrequency ?? null,
-        odourControlFrequency: d?.odourControlFrequency ?? null,
-      },
-    });
-  }
 
-  const unscheduledRatesHTML = getUnscheduledRatesContent(d?.unscheduledRates);
-
-  let out = String(html ?? "");
-  out = safeReplaceAll(out, "{COMPANY_NAME}", companyName);
-  out = safeReplaceAll(out, "{ABN}", abn);
-  out = safeReplaceAll(out, "{ADDRESS}", address);
-  out = safeReplaceAll(out, "{ACCOUNTS_EMAILS}", accountsEmail);
-  out = safeReplaceAll(out, "{ACCOUNT_PHONE}", phoneLine);
-  out = safeReplaceAll(out, "{START_DATE}", startDate);
-  out = safeReplaceAll(out, "{END_DATE}", endDate);
-  out = safeReplaceAll(out, "{CONTRACT_TOTAL}", contractTotal);
-  out = safeReplaceAll(out, "{SERVICE-CONTENT}", servicesHTML);
-  out = safeReplaceAll(out, "{SITE_NAME}", siteNamesHTML);
-  out = safeReplaceAll(out, "{NAME}", signName);
-  out = safeReplaceAll(out, "{SIGNATURE}", signatureHTML);
-  out = safeReplaceAll(out, "{DATE}", signatureDate);
-  out = safeReplaceAll(out, "{SALESPERSON}", salesperson);
-  out = safeReplaceAll(out, "{INCENTIVES-CONTENT}", incentivesHTML);
-  out = safeReplaceAll(out, "{UNSCHEDULED-RATES-CONTENT}", unscheduledRatesHTML);
-  out = safeReplaceAll(out, "{PROPOSAL_EXPIRY_DATE}", proposalExpiryDate);
+  const signatureDate = formatSignatureDate(d?.signatureDate, profile);
+
+  // Layout lives in the template; legacy {TOKEN}s are still filled for
+  // sections that have not moved to the view model yet.
+  const view = {
+    labels: getTemplateLabels(profile, t),
+    coverSites: getCoverSitesView(sites),
+    incentives: d?.serviceAgreement?.incentives
+      ? getIncentivesView({ frequencies, catalogue, policy, t })
+      : null,
+    pricingSummary: getPricingSummaryView(quote, profile, t),
+    unscheduledRates: getUnscheduledRatesView(d?.unscheduledRates, profile, t),
+    services,
+    siteSummary: getSiteSummaryView(
+      quote,
+      getSiteAddresses(sites),
+      profile,
+      t
+    ),
+    serviceMatrix: getServiceMatrixView(quote, {
+      catalogue,
+      frequencyModel,
+      profile,
+      t,
+    }),
+    escalation: getEscalationView(
+      quote,
+      d?.serviceAgreement?.start_date,
+      d?.serviceAgreement?.end_date,
+      profile,
+      t
+    ),
+    contacts: localizeContacts(getContacts(d), t),
+    visitSchedule: getVisitScheduleView(visitSchedules, sites, {
+      catalogue,
+      frequencyModel,
+      skipHolidays,
+      profile,
+      t,
+    }),
+    draft: draftReason,
+  };
+  const tokens = {
+    COMPANY_NAME: companyName,
+    ABN: businessNumber?.formatted ?? "",
+    ABN_LABEL: businessNumber?.type ?? profile.businessId,
+    ADDRESS: address,
+    POSTAL_ADDRESS: postalAddress,
+    ACCOUNTS_EMAILS: accountsEmail,
+    ACCOUNT_PHONE: phoneLine,
+    START_DATE: startDate,
+    END_DATE: endDate,
+    CONTRACT_TERM: contractTerm,
+    CONTRACT_TOTAL: contractTotal,
+    NAME: signName,
+    SIGNATURE: trustedHtml(signatureHTML),
+    DATE: signatureDate,
+    SALESPERSON: salesperson,
+    PROPOSAL_EXPIRY_DATE: proposalExpiryDate,
+    TAX_NAME: profile.taxName,
+    CURRENCY_NAME: profile.currencyName,
+  };
+
+  const out = renderTemplate(String(html ?? ""), view, { tokens, report });
 
+  const result = report.result();
+  onReport?.(result);
+  if (strict && result.unresolved.length) {
+    throw new UnresolvedPlaceholdersError(result);
+  }
   return out;
 }
 
+// Filled HTML plus its fill report, without failing on unresolved placeholders
+function fillDataWithReport(html, data) {
+  let report = null;
+  const out = fillData(html, data, { onReport: (r) => (report = r) });
+  return { html: out, report };
+}
+
 // ---- exports ----
 module.exports = {
   fillData,
+  fillDataWithReport,
   toDDMMYYYY,
+  formatDate,
   formatMoney,
   getNumber,
   getServices,
   getServiceAnualCost,
   getDiscountDefault,
   computeGrandTotal,
+  computeContractTotal,
+  computeQuote,
+  getContractTerm,
+  TERM_PRICING,
   frequencyChecklistHTML,
 };
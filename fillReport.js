@@ -0,0 +1,100 @@
+// Fill report: what a template fill left unresolved, filled with an empty
+// value, or never read from the payload. Strict renders fail on unresolved
+// placeholders instead of shipping them to the customer.
+
+class UnresolvedPlaceholdersError extends Error {
+  constructor(report) {
+    const names = report.unresolved.map((u) => u.placeholder).join(", ");
+    super(`Template has unresolved placeholders: ${names}`);
+    this.name = "UnresolvedPlaceholdersError";
+    this.statusCode = 500;
+    this.report = report;
+  }
+}
+
+// $.serviceAgreement.sites[].buildings[] - array indexes are merged
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+function isIndex(target, key) {
+  return Array.isArray(target) && /^\d+$/.test(key);
+}
+
+function collectLeafPaths(value, path = "$", out = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((v) => collectLeafPaths(v, `${path}[]`, out));
+  } else if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (!entries.length) out.add(path);
+    for (const [key, v] of entries) collectLeafPaths(v, childPath(path, key), out);
+  } else if (value !== undefined) {
+    out.add(path);
+  }
+  return out;
+}
+
+function createFillReport() {
+  const unresolved = new Map();
+  const empty = new Map();
+  const used = new Set();
+  const proxies = new WeakMap();
+  let data;
+
+  const note = (map, placeholder, line) => {
+    const entry = map.get(placeholder) ?? { placeholder, lines: [] };
+    if (line != null && !entry.lines.includes(line)) entry.lines.push(line);
+    map.set(placeholder, entry);
+  };
+
+  // Records every payload field read through the returned proxy
+  const wrap = (value, path) => {
+    if (!value || typeof value !== "object") return value;
+    if (proxies.has(value)) return proxies.get(value);
+    const proxy = new Proxy(value, {
+      get(target, key, receiver) {
+        const v = Reflect.get(target, key, receiver);
+        if (typeof key !== "string" || !Object.hasOwn(target, key)) return v;
+        if (Array.isArray(target) && !isIndex(target, key)) return v;
+        const p = isIndex(target, key) ? `${path}[]` : childPath(path, key);
+        used.add(p);
+        return wrap(v, p);
+      },
+    });
+    proxies.set(value, proxy);
+    return proxy;
+  };
+
+  return {
+    unresolved: (placeholder, line) => note(unresolved, placeholder, line),
+    empty: (placeholder, line) => note(empty, placeholder, line),
+
+    /** Payload to hand to the fill code; reads through it count as used. */
+    trackData(payload) {
+      data = payload;
+      return wrap(payload, "$");
+    },
+
+    /**
+     * @returns {{
+     *   unresolved: { placeholder: string, lines: number[] }[],
+     *   empty: { placeholder: string, lines: number[] }[],
+     *   unusedData: string[],
+     * }}
+     */
+    result() {
+      const unusedData = [...collectLeafPaths(data)].filter(
+        (p) => !used.has(p)
+      );
+      return {
+        unresolved: [...unresolved.values()],
+        empty: [...empty.values()],
+        unusedData,
+      };
+    },
+  };
+}
+
+module.exports = { createFillReport, UnresolvedPlaceholdersError };
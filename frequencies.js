@@ -0,0 +1,108 @@
+// Visit frequency model: key, label and visits per year.
+// Payloads can add their own via `customFrequencies` (see getFrequencyModel).
+
+const FREQUENCIES = [
+  { key: "weekly", label: "Weekly", visitsPerYear: 52 },
+  { key: "fortnightly", label: "Fortnightly", visitsPerYear: 26 },
+  { key: "monthly", label: "Monthly", visitsPerYear: 12 },
+  { key: "bi-monthly", label: "Bi-Monthly", visitsPerYear: 6 },
+  { key: "quarterly", label: "Quarterly", visitsPerYear: 4 },
+  { key: "six-monthly", label: "6 Monthly", visitsPerYear: 2 },
+  { key: "yearly", label: "Yearly", visitsPerYear: 1 },
+];
+
+// spellings seen in older payloads -> canonical key
+const FREQUENCY_ALIASES = {
+  "6monthly": "six-monthly",
+  "6-monthly": "six-monthly",
+  "half-yearly": "six-monthly",
+  biannual: "six-monthly",
+  bimonthly: "bi-monthly",
+  "two-monthly": "bi-monthly",
+  annually: "yearly",
+  annual: "yearly",
+};
+
+const KEY_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+class UnknownFrequencyError extends Error {
+  constructor(value) {
+    super(`Unknown frequency: ${JSON.stringify(value)}`);
+    this.name = "UnknownFrequencyError";
+    this.value = value;
+  }
+}
+
+function normalizeFrequency(frequency) {
+  const f = (frequency ?? "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+  return FREQUENCY_ALIASES[f] ?? f;
+}
+
+// null, "" and "none" all mean the service was not selected
+function isNoFrequency(frequency) {
+  const f = normalizeFrequency(frequency);
+  return f === "" || f === "none";
+}
+
+/**
+ * Built-in frequencies plus any custom ones, keyed by frequency key.
+ * Custom entries may also redefine a built-in key.
+ * @param {{ key: string, label: string, visitsPerYear: number }[]} [custom]
+ * @returns {Map<string, { key: string, label: string, visitsPerYear: number }>}
+ */
+function getFrequencyModel(custom = []) {
+  const model = new Map(FREQUENCIES.map((f) => [f.key, f]));
+  for (const [i, def] of (Array.isArray(custom) ? custom : []).entries()) {
+    const key = normalizeFrequency(def?.key);
+    const visitsPerYear = Number(def?.visitsPerYear);
+    if (!KEY_RE.test(key) || key === "none") {
+      throw new Error(
+        `customFrequencies[${i}]: invalid key ${JSON.stringify(def?.key)}`
+      );
+    }
+    if (!Number.isFinite(visitsPerYear) || visitsPerYear <= 0) {
+      throw new Error(`customFrequencies[${i}]: visitsPerYear must be > 0`);
+    }
+    model.set(key, { key, label: String(def?.label || key), visitsPerYear });
+  }
+  return model;
+}
+
+const DEFAULT_FREQUENCY_MODEL = getFrequencyModel();
+
+/** Frequency definition for a value, or null when not selected / unknown. */
+function findFrequency(frequency, model = DEFAULT_FREQUENCY_MODEL) {
+  if (isNoFrequency(frequency)) return null;
+  return model.get(normalizeFrequency(frequency)) ?? null;
+}
+
+/**
+ * Like findFrequency, but unknown values throw instead of being guessed.
+ * Returns null only when the service was not selected.
+ */
+function resolveFrequency(frequency, model = DEFAULT_FREQUENCY_MODEL) {
+  if (isNoFrequency(frequency)) return null;
+  const def = findFrequency(frequency, model);
+  if (!def) throw new UnknownFrequencyError(frequency);
+  return def;
+}
+
+function getFrequencyLabel(frequency, model = DEFAULT_FREQUENCY_MODEL) {
+  return findFrequency(frequency, model)?.label ?? "";
+}
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_FREQUENCY_MODEL,
+  UnknownFrequencyError,
+  normalizeFrequency,
+  isNoFrequency,
+  getFrequencyModel,
+  findFrequency,
+  resolveFrequency,
+  getFrequencyLabel,
+};
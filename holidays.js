@@ -0,0 +1,201 @@
+// Public holidays the visit schedule can keep visits off (see visitSchedule.js),
+// by region: a site's state, or the locale profile's `holidayRegion` for sites
+// without one. Holidays are worked out by rule for any year, following each
+// state's Public Holidays Act (weekend holidays moved or made up on the next
+// weekdays). Payloads can add their own (site shutdowns, local holidays) as
+// extra dates.
+
+const SUNDAY = 0;
+const MONDAY = 1;
+const TUESDAY = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Friday before the AFL Grand Final (VIC): set by the AFL each year, so it is
+// listed here once gazetted
+const AFL_GRAND_FINAL_FRIDAYS = ["2025-09-26"];
+
+// ---- date helpers (UTC calendar days) ----
+function utcDay(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === SUNDAY || day === 6;
+}
+
+// nth (1-based) weekday of a month, e.g. the second Monday in June
+function nthWeekday(year, month, weekday, n) {
+  const first = utcDay(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return addDays(first, offset + (n - 1) * 7);
+}
+
+function nextMonday(date) {
+  return addDays(date, (MONDAY - date.getUTCDay() + 7) % 7 || 7);
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDay(year, month, day);
+}
+
+// ---- holidays shared by NSW and VIC ----
+// New Year's Day, plus the Monday after when it falls on a weekend
+function newYearsDay(year) {
+  const day = utcDay(year, 1, 1);
+  const holidays = [{ date: day, name: "New Year's Day" }];
+  if (isWeekend(day)) {
+    holidays.push({
+      date: nextMonday(day),
+      name: "New Year's Day (additional day)",
+    });
+  }
+  return holidays;
+}
+
+// Australia Day, moved to the Monday after when it falls on a weekend
+function australiaDay(year) {
+  const day = utcDay(year, 1, 26);
+  const date = isWeekend(day) ? nextMonday(day) : day;
+  return { date, name: "Australia Day" };
+}
+
+function easter(year, saturdayName) {
+  const sunday = easterSunday(year);
+  return [
+    { date: addDays(sunday, -2), name: "Good Friday" },
+    { date: addDays(sunday, -1), name: saturdayName },
+    { date: sunday, name: "Easter Sunday" },
+    { date: addDays(sunday, 1), name: "Easter Monday" },
+  ];
+}
+
+// Christmas and Boxing Day; each one on a weekend is made up on the next
+// weekday that isn't already a holiday
+function christmas(year) {
+  const holidays = [];
+  let next = utcDay(year, 12, 27);
+  for (const [day, name] of [
+    [25, "Christmas Day"],
+    [26, "Boxing Day"],
+  ]) {
+    const date = utcDay(year, 12, day);
+    holidays.push({ date, name });
+    if (!isWeekend(date)) continue;
+    while (isWeekend(next)) next = addDays(next, 1);
+    holidays.push({ date: next, name: `${name} (additional day)` });
+    next = addDays(next, 1);
+  }
+  return holidays;
+}
+
+// ---- holidays by region ----
+const HOLIDAY_RULES = {
+  NSW: (year) => [
+    ...newYearsDay(year),
+    australiaDay(year),
+    ...easter(year, "Easter Saturday"),
+    { date: utcDay(year, 4, 25), name: "Anzac Day" },
+    { date: nthWeekday(year, 6, MONDAY, 2), name: "King's Birthday" },
+    { date: nthWeekday(year, 10, MONDAY, 1), name: "Labour Day" },
+    ...christmas(year),
+  ],
+  VIC: (year) => [
+    ...newYearsDay(year),
+    australiaDay(year),
+    { date: nthWeekday(year, 3, MONDAY, 2), name: "Labour Day" },
+    ...easter(year, "Saturday before Easter Sunday"),
+    { date: utcDay(year, 4, 25), name: "Anzac Day" },
+    { date: nthWeekday(year, 6, MONDAY, 2), name: "King's Birthday" },
+    ...AFL_GRAND_FINAL_FRIDAYS.filter((d) => d.startsWith(`${year}-`)).map(
+      (d) => ({
+        date: new Date(`${d}T00:00:00Z`),
+        name: "Friday before the AFL Grand Final",
+      })
+    ),
+    { date: nthWeekday(year, 11, TUESDAY, 1), name: "Melbourne Cup" },
+    ...christmas(year),
+  ],
+};
+
+/**
+ * Public holidays of a region in a year, in date order; none for regions
+ * without rules.
+ * @param {string|null} region e.g. "NSW"
+ * @param {number} year
+ * @returns {{ date: string, name: string }[]}
+ */
+function getPublicHolidays(region, year) {
+  const rule = HOLIDAY_RULES[region];
+  if (!rule || !Number.isInteger(year)) return [];
+  return rule(year)
+    .map((h) => ({ date: isoDay(h.date), name: h.name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const ISO_DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Holiday region of a site: its state ("VIC"), or the fallback (the locale
+ * profile's `holidayRegion`) when the address has none. A state without
+ * rules is still its own region, so it never gets another state's holidays.
+ * @param {{ state?: string }} address cleaned parts (see getSiteAddressParts)
+ * @param {string|null} [fallback]
+ * @returns {string|null}
+ */
+function getHolidayRegion(address, fallback = null) {
+  return address?.state || fallback;
+}
+
+/**
+ * Holiday dates ("yyyy-MM-dd") of a region over the years of a term, plus any
+ * extra dates. Regions without rules get the extra dates only. Malformed
+ * extras are ignored; the payload validator reports them.
+ * @param {string[]} [extra]
+ * @param {string|null} [region]
+ * @param {{ from?: string, to?: string }} [term] ISO start and end dates
+ * @returns {Set<string>}
+ */
+function getHolidayDates(extra = [], region = "NSW", { from, to } = {}) {
+  const dates = [];
+  const first = parseInt(String(from ?? "").slice(0, 4), 10);
+  const last = parseInt(String(to ?? "").slice(0, 4), 10) || first;
+  for (let year = first; year <= last; year++) {
+    dates.push(...getPublicHolidays(region, year).map((h) => h.date));
+  }
+  for (const d of Array.isArray(extra) ? extra : []) {
+    const day = String(d ?? "").trim().slice(0, 10);
+    if (ISO_DAY_RE.test(day)) dates.push(day);
+  }
+  return new Set(dates);
+}
+
+module.exports = {
+  AFL_GRAND_FINAL_FRIDAYS,
+  getPublicHolidays,
+  getHolidayRegion,
+  getHolidayDates,
+};
@@ -0,0 +1,99 @@
+// Contextual escaping for values injected into the HTML templates
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const ATTR_ESCAPES = {
+  ...HTML_ESCAPES,
+  "`": "&#96;",
+  "=": "&#61;",
+};
+
+// Schemes allowed in href/src. Data URLs are only allowed for raster images
+// (e.g. the signature pad output) and only when the caller opts in.
+const SAFE_URL_SCHEMES = new Set(["http:", "https:", "mailto:", "tel:"]);
+const SAFE_DATA_IMAGE_RE =
+  /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+// ---- trusted html ----
+class TrustedHtml {
+  constructor(html) {
+    this.html = html == null ? "" : String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Marks a string as already-safe markup so it is injected verbatim.
+ * Only use for HTML built by this codebase, never for raw payload values.
+ * @param {string} html
+ * @returns {TrustedHtml}
+ */
+function trustedHtml(html) {
+  return html instanceof TrustedHtml ? html : new TrustedHtml(html);
+}
+
+function isTrustedHtml(value) {
+  return value instanceof TrustedHtml;
+}
+
+// ---- escapers ----
+function toText(value) {
+  if (value == null) return "";
+  return String(value);
+}
+
+/** Escapes a value for an HTML text node. */
+function escapeHtml(value) {
+  if (isTrustedHtml(value)) return value.html;
+  return toText(value).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+/** Escapes a value for a quoted HTML attribute. */
+function escapeAttr(value) {
+  return toText(value).replace(/[&<>"'`=]/g, (c) => ATTR_ESCAPES[c]);
+}
+
+/**
+ * Escapes a value for a URL attribute (href/src). Anything that is not a
+ * relative URL or an allowed scheme (javascript:, vbscript:, data: ...)
+ * collapses to an empty string.
+ * @param {string} value
+ * @param {{ allowDataImages?: boolean }} [opts]
+ */
+function escapeUrl(value, opts = {}) {
+  const raw = toText(value).trim();
+  if (!raw) return "";
+
+  if (/^data:/i.test(raw)) {
+    return opts.allowDataImages && SAFE_DATA_IMAGE_RE.test(raw)
+      ? escapeAttr(raw.replace(/\s+/g, ""))
+      : "";
+  }
+
+  // strip control chars/whitespace browsers ignore when sniffing the scheme
+  const probe = raw.replace(/[\u0000- \u007f]+/g, "");
+  const scheme = probe.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !SAFE_URL_SCHEMES.has(scheme[1].toLowerCase() + ":")) {
+    return "";
+  }
+
+  return escapeAttr(raw);
+}
+
+module.exports = {
+  TrustedHtml,
+  trustedHtml,
+  isTrustedHtml,
+  escapeHtml,
+  escapeAttr,
+  escapeUrl,
+};
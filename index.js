@@ -1,21 +1,97 @@
 // zip -r ../service-agreement-pdf.zip .
 const dotenv = require("dotenv");
-const path = require("path");
 const { renderPdfFromHtmlFile } = require("./renderPdf");
 const { uploadPdfAndGetUrl } = require("./s3Upload");
+const { PayloadValidationError } = require("./validatePayload");
+const { UnresolvedPlaceholdersError } = require("./fillReport");
+const { InvalidNumberError } = require("./money");
+const {
+  getTemplate,
+  listTemplates,
+  UnknownTemplateError,
+} = require("./templates");
 
+// event.template is an ID ("service-agreement") or { id, version }
+function getEventTemplate(event) {
+  const t = event?.template;
+  if (t && typeof t === "object") return getTemplate(t.id, t.version);
+  return getTemplate(t ?? undefined);
+}
+
+// Strict renders fail on unresolved placeholders; otherwise they are logged
+function isStrict(event) {
+  return event?.strict ?? process.env.STRICT_TEMPLATES === "true";
+}
+
+// "block" rejects an invalid ABN/ACN; "watermark" (default) marks the PDF DRAFT
+function getInvalidBusinessNumberMode(event) {
+  return event?.invalidBusinessNumber ?? process.env.INVALID_BUSINESS_NUMBER;
+}
+
+function logFillReport(report) {
+  if (report.unresolved.length) {
+    console.warn("Unresolved placeholders:", report.unresolved);
+  }
+}
 
 exports.handler = async (event) => {
   dotenv.config();
   try {
-    const htmlPath = path.resolve(__dirname, "service-agreement.html");
-    const pdfBuffer = await renderPdfFromHtmlFile(htmlPath, event.data);
-    const result = await uploadPdfAndGetUrl(pdfBuffer);
+    if (event?.action === "listTemplates") {
+      return { statusCode: 200, result: listTemplates() };
+    }
+    const template = getEventTemplate(event);
+    template.validate?.(event?.data);
+    const fillOptions = {
+      strict: isStrict(event),
+      invalidBusinessNumber: getInvalidBusinessNumberMode(event),
+      onReport: logFillReport,
+    };
+    const pdfBuffer = await renderPdfFromHtmlFile(
+      template.htmlPath,
+      event.data,
+      {},
+      (html, data) => template.fill(html, data, fillOptions)
+    );
+    const result = await uploadPdfAndGetUrl(pdfBuffer, {
+      keyPrefix: template.filePrefix,
+    });
     return {
       statusCode: 200,
       result : result.presignedUrl
     };
   } catch (error) {
+    if (error instanceof PayloadValidationError) {
+      return {
+        statusCode: error.statusCode,
+        body: JSON.stringify({ message: error.message, errors: error.errors }),
+      };
+    }
+    if (error instanceof UnknownTemplateError) {
+      return {
+        statusCode: error.statusCode,
+        body: JSON.stringify({
+          message: error.message,
+          available: error.available,
+        }),
+      };
+    }
+    if (error instanceof InvalidNumberError) {
+      return {
+        statusCode: error.statusCode,
+        body: JSON.stringify({ message: error.message }),
+      };
+    }
+    if (error instanceof UnresolvedPlaceholdersError) {
+      console.error("Template fill failed:", error.report);
+      return {
+        statusCode: error.statusCode,
+        body: JSON.stringify({
+          message: error.message,
+          unresolved: error.report.unresolved,
+        }),
+      };
+    }
     console.error("PDF generation/upload error:", error);
     return {
       statusCode: 500,
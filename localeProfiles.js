@@ -0,0 +1,135 @@
+// Locale profiles: currency, number and date formats, time zone, sales tax
+// and business identifier for the region an agreement is issued in.
+// Payloads pick one with `locale` ("en-NZ") or adjust one field by field,
+// e.g. { profile: "en-NZ", taxRate: 0.15 }; the default is en-AU.
+
+const LOCALE_PROFILES = {
+  "en-AU": {
+    id: "en-AU",
+    locale: "en-AU", // number and currency formatting
+    currency: "AUD",
+    currencyName: "Australian dollars",
+    dateFormat: "dd/MM/yyyy",
+    monthFormat: "MMM yyyy",
+    timeZone: "Australia/Sydney",
+    taxName: "GST",
+    taxRate: 0.1,
+    businessId: "ABN", // see getBusinessNumber
+    holidayRegion: "NSW", // see holidays.js
+  },
+  "en-NZ": {
+    id: "en-NZ",
+    locale: "en-NZ",
+    currency: "NZD",
+    currencyName: "New Zealand dollars",
+    dateFormat: "dd/MM/yyyy",
+    monthFormat: "MMM yyyy",
+    timeZone: "Pacific/Auckland",
+    taxName: "GST",
+    taxRate: 0.15,
+    businessId: "NZBN",
+    holidayRegion: null,
+  },
+};
+
+const DEFAULT_LOCALE_PROFILE = LOCALE_PROFILES["en-AU"];
+
+class InvalidLocaleProfileError extends Error {
+  constructor(message) {
+    super(`Invalid locale profile: ${message}`);
+    this.name = "InvalidLocaleProfileError";
+  }
+}
+
+// date-fns `format` tokens: quoted text, ordinals ("do") and runs of one
+// letter. Checked by pattern rather than by formatting so the validator
+// stays free of npm dependencies.
+const DATE_TOKEN_RE =
+  /''|'(?:''|[^'])+(?:'|$)|[yYQqMLwIdDecihHKkms]o|([A-Za-z])\1*|./g;
+const DATE_FIELD_LETTERS = "GyYRuQqMLwIdDEecibBahHKkmsSXxOztTPp";
+// day of the year and week-numbering year, which date-fns refuses unless
+// asked for: almost always a mistyped "dd" or "yyyy"
+const REFUSED_DATE_TOKENS = ["D", "DD", "YY", "YYYY"];
+
+/** Whether date-fns can format with the pattern ("dd/MM/yyyy"). */
+function isDatePattern(pattern) {
+  if (typeof pattern !== "string" || !pattern) return false;
+  return pattern
+    .match(DATE_TOKEN_RE)
+    .every(
+      (token) =>
+        !/^[A-Za-z]/.test(token) ||
+        (DATE_FIELD_LETTERS.includes(token[0]) &&
+          !REFUSED_DATE_TOKENS.includes(token))
+    );
+}
+
+function checkProfile(p) {
+  try {
+    new Intl.NumberFormat(p.locale, {
+      style: "currency",
+      currency: p.currency,
+    });
+  } catch {
+    throw new InvalidLocaleProfileError(
+      `unsupported locale ${JSON.stringify(p.locale)} ` +
+        `or currency ${JSON.stringify(p.currency)}`
+    );
+  }
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: p.timeZone });
+  } catch {
+    throw new InvalidLocaleProfileError(
+      `unknown time zone ${JSON.stringify(p.timeZone)}`
+    );
+  }
+  if (!(p.taxRate >= 0 && p.taxRate <= 1)) {
+    throw new InvalidLocaleProfileError("taxRate must be 0-1");
+  }
+  if (!p.taxName || !p.businessId || !p.dateFormat || !p.monthFormat) {
+    throw new InvalidLocaleProfileError(
+      "taxName, businessId, dateFormat and monthFormat are required"
+    );
+  }
+  for (const field of ["dateFormat", "monthFormat"]) {
+    if (!isDatePattern(p[field])) {
+      throw new InvalidLocaleProfileError(
+        `${field} ${JSON.stringify(p[field])} is not a date pattern ` +
+          '(e.g. "dd/MM/yyyy")'
+      );
+    }
+  }
+  return p;
+}
+
+/**
+ * Profile for the payload's `locale`: a profile ID, or an object naming a
+ * base `profile` with fields to change. Unset fields come from the base.
+ * @throws {InvalidLocaleProfileError}
+ */
+function getLocaleProfile(input) {
+  if (input == null || input === "") return DEFAULT_LOCALE_PROFILE;
+  const { profile: id = DEFAULT_LOCALE_PROFILE.id, ...overrides } =
+    typeof input === "string" ? { profile: input } : input;
+  const base = LOCALE_PROFILES[id];
+  if (!base) {
+    throw new InvalidLocaleProfileError(`unknown profile ${JSON.stringify(id)}`);
+  }
+  const changes = Object.fromEntries(
+    Object.entries(overrides).filter(([, v]) => v != null)
+  );
+  return checkProfile({ ...base, ...changes, id });
+}
+
+/** Plain number in the profile's locale, e.g. 1234.5 -> "1,234.5". */
+function formatNumber(n, profile = DEFAULT_LOCALE_PROFILE) {
+  return Number.isFinite(n) ? n.toLocaleString(profile.locale) : "";
+}
+
+module.exports = {
+  LOCALE_PROFILES,
+  DEFAULT_LOCALE_PROFILE,
+  InvalidLocaleProfileError,
+  getLocaleProfile,
+  formatNumber,
+};
@@ -0,0 +1,309 @@
+// Document wording by language. A catalogue maps message keys to text;
+// `{name}` placeholders are filled from the params of the call (as in tier
+// perks). A message that depends on a number may be an object of plural
+// forms keyed by Intl.PluralRules category ("one", "few", "many", "other"),
+// picked by the `count` param; "other" is required.
+//
+// The payload's `language` ("fr", "fr-CA") picks the catalogue. Keys it
+// lacks fall back to the base language, then English. Payloads may add or
+// override catalogues via `messages`, e.g. { fr: { "services.quantity": ... } }.
+//
+// Service, tier, frequency and contact role wording is defined in English with
+// its data (serviceCatalogue.js, pricingPolicy.js, frequencies.js,
+// contacts.js). A catalogue translates it under these optional keys:
+//   service.<type>.title / .titleLines (array) / .disclaimer / .detail
+//   service.<type>.lines.<id>.suffix / .text / .template (line ids in
+//     serviceCatalogue.js, e.g. service.chute_cleaning.lines.price.suffix)
+//   service.<type>.noun (plural forms)
+//   tier.<NAME> (display name) / tier.<NAME>.perks (array, same placeholders)
+//   frequency.<key>
+//   contact.role.<key>
+// Headings and labels of the HTML template are catalogue messages too. The
+// terms and conditions are legal text fixed in the template and stay in
+// English.
+// No npm dependencies, so the validator can check payload catalogues.
+
+const DEFAULT_LANGUAGE = "en";
+
+const MESSAGES = {
+  en: {
+    // cover page
+    "cover.companyName": "Company Name:",
+    "cover.address": "Address:",
+    "cover.postalAddress": "Postal Address:",
+    "cover.accountsEmails": "Accounts Emails:",
+    "cover.accountPhone": "Account Phone:",
+    "cover.startDate": "Start Date",
+    "cover.endDate": "End Date",
+    "cover.contractTerm": "Contract Term",
+    "cover.contractTotal": "Total Contract Value (ex {tax})",
+    "cover.salesperson": "Salesperson",
+    "cover.proposalExpiry": "Proposal Expiry Date",
+    "contract.months": { one: "{count} Month", other: "{count} Months" },
+    "contract.days": { one: "{count} Day", other: "{count} Days" },
+    "contact.mobile": "Mobile: {number}",
+    "contact.phone": "Phone: {number}",
+    "contact.primaryRole": "{role} (Primary)",
+    "address.sameAsBusiness": "Same as business address",
+    "draft.invalidNumber": "Invalid {type}",
+    "signature.alt": "Signature",
+
+    // schedule of services
+    "services.title": "SCHEDULE OF SERVICES:",
+    "services.type": "SERVICE TYPE",
+    "services.frequency": "RECOMMENDED FREQUENCY",
+    "services.cost": "COST",
+    "services.select": "Select",
+    "services.units": "UNITS",
+    "services.quantity": { one: "{count} x", other: "{count} x" },
+    "services.equipment": "Equipment",
+    "services.selected": "Selected: {frequency}",
+    "services.subtotal": "Subtotal",
+
+    // unscheduled rates ("\n" breaks the line)
+    "rates.title": "UNSCHEDULED SERVICE RATES:",
+    "rates.period": "PERIOD",
+    "rates.callOutFee": "CALL OUT FEE",
+    "rates.hourlyRate": "HOURLY RATE",
+    "rates.footnote":
+      "*Unscheduled Service Prices are not included in this agreement.",
+    "rates.plusTax": "{amount} + {tax}",
+    "rates.normalHours": "Normal Working Hours",
+    "rates.normalHoursTimes": "(8.30am – 4.30pm)",
+    "rates.afterHours": "After Hours",
+    "rates.weekdayTimes": "(Monday to Friday from 4:30pm and Saturday)",
+    "rates.weekendTimes": "(Sunday and Public Holidays)",
+    "rates.wasteBlockage": "Waste Blockage",
+    "rates.wasteBlockageTimes": "(Normal Working Hours 8.30am –\n4.30pm)",
+    "rates.callOut": "(3 hours including travel)",
+    "rates.thereafter": "(Any time thereafter)",
+
+    // incentives
+    "incentives.title": "INCENTIVES:",
+    "incentives.tier": "TIER",
+    "incentives.perks": "INCENTIVES",
+
+    // pricing summary
+    "pricing.title": "PRICING SUMMARY:",
+    "pricing.service": "SERVICE",
+    "pricing.location": "LOCATION",
+    "pricing.unitPrice": "UNIT PRICE",
+    "pricing.quantity": "QTY",
+    "pricing.visitsPerYear": "VISITS / YEAR",
+    "pricing.annualCost": "ANNUAL COST",
+    "pricing.subtotal": "Annual Subtotal",
+    "pricing.discount": "Discount ({tier} {pct}%)",
+    "pricing.totalExTax": "Annual Total (ex {tax})",
+    "pricing.tax": "{tax} ({rate})",
+    "pricing.totalIncTax": "Annual Total (inc {tax})",
+    "pricing.contractSubtotal": "Contract Subtotal (ex {tax})",
+    "pricing.complimentary": {
+      one: "Complimentary {service} (First Month)",
+      other: "Complimentary {service} (First {count} Months)",
+    },
+    "pricing.contractTotalExTax": "Total Contract Value (ex {tax})",
+    "pricing.contractTotal": "Total Contract Value (inc {tax})",
+
+    // site summary
+    "sites.title": "SITE SUMMARY:",
+    "sites.site": "SITE",
+    "sites.subtotal": "ANNUAL SUBTOTAL",
+    "sites.discount": "DISCOUNT",
+    "sites.total": "ANNUAL TOTAL (EX {tax})",
+    "sites.services": { one: "{count} service", other: "{count} services" },
+    "sites.buildings": { one: "{count} building", other: "{count} buildings" },
+
+    // contacts
+    "contacts.title": "CONTACTS:",
+    "contacts.name": "NAME",
+    "contacts.jobTitle": "TITLE",
+    "contacts.email": "EMAIL",
+    "contacts.phone": "PHONE",
+    "contacts.roles": "ROLES",
+
+    // services by building
+    "matrix.title": "SERVICES BY BUILDING:",
+    "matrix.intro":
+      "Annual quantity, frequency and cost of each service per building " +
+      "(ex {tax}, before discounts).",
+    "matrix.site": "SITE / BUILDING",
+    "matrix.total": "TOTAL",
+    "matrix.continued": "(continued)",
+    "matrix.quantity": "Qty {count}",
+    "matrix.page": "Page {page} of {pages}",
+
+    // visit schedule
+    "visits.title": "SERVICE VISIT SCHEDULE:",
+    "visits.period": "Planned visits for the contract term {period}.",
+    "visits.count": { one: "{count} visit", other: "{count} visits" },
+    "visits.month": "{month} ({count})",
+    "visits.holidayNote":
+      "Visits falling on a public holiday in the site's state are moved to " +
+      "the next working day, or the previous one at the end of the term " +
+      "(marked *).",
+
+    // pricing schedule (escalation)
+    "escalation.title": "PRICING SCHEDULE:",
+    "escalation.yearHeading": "YEAR",
+    "escalation.period": "PERIOD",
+    "escalation.change": "PRICE CHANGE",
+    "escalation.amount": "AMOUNT (EX {tax})",
+    "escalation.year": "Year {year}",
+    "escalation.current": "Current pricing",
+    "escalation.locked": "Price locked",
+    "escalation.noChange": "No change",
+    "escalation.fixed": "+{pct}",
+    "escalation.cpi": "CPI (est. +{pct})",
+    "escalation.lockNote": {
+      one:
+        "Prices are fixed for the first month under the Price Lock Guarantee.",
+      other:
+        "Prices are fixed for the first {count} months under the Price " +
+        "Lock Guarantee.",
+    },
+    "escalation.cpiNote":
+      "CPI increases are estimated at {pct} per year; the published " +
+      "Consumer Price Index change is applied on each anniversary.",
+  },
+};
+
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+class InvalidMessagesError extends Error {
+  constructor(message) {
+    super(`Invalid messages: ${message}`);
+    this.name = "InvalidMessagesError";
+  }
+}
+
+function isPluralForms(message) {
+  return (
+    !!message &&
+    typeof message === "object" &&
+    !Array.isArray(message) &&
+    typeof message.other === "string"
+  );
+}
+
+// A message is text, plural forms, or a list of text (tier perks)
+function checkMessage(message) {
+  if (typeof message === "string") return true;
+  if (Array.isArray(message)) {
+    return message.every((m) => typeof m === "string");
+  }
+  return (
+    isPluralForms(message) &&
+    Object.entries(message).every(
+      ([k, v]) => PLURAL_CATEGORIES.includes(k) && typeof v === "string"
+    )
+  );
+}
+
+// "fr_ca" -> "fr-CA"; null when it isn't a language tag
+function canonicalLanguage(language) {
+  const tag = String(language ?? "").trim().replace(/_/g, "-");
+  if (!tag) return null;
+  try {
+    return Intl.getCanonicalLocales(tag)[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Built-in catalogues plus the payload's, merged key by key.
+ * @throws {InvalidMessagesError}
+ */
+function getMessageCatalogues(overrides) {
+  const catalogues = { ...MESSAGES };
+  if (overrides == null) return catalogues;
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new InvalidMessagesError("expected catalogues keyed by language");
+  }
+  for (const [language, messages] of Object.entries(overrides)) {
+    const tag = canonicalLanguage(language);
+    if (!tag) {
+      throw new InvalidMessagesError(
+        `${JSON.stringify(language)} is not a language tag`
+      );
+    }
+    if (!messages || typeof messages !== "object" || Array.isArray(messages)) {
+      throw new InvalidMessagesError(`${language} needs an object of messages`);
+    }
+    for (const [key, message] of Object.entries(messages)) {
+      if (!checkMessage(message)) {
+        throw new InvalidMessagesError(
+          `${language} ${JSON.stringify(key)} must be text, a list of text ` +
+            'or plural forms with "other"'
+        );
+      }
+    }
+    catalogues[tag] = { ...(catalogues[tag] ?? {}), ...messages };
+  }
+  return catalogues;
+}
+
+// "fr-CA" -> ["fr-CA", "fr", "en"]
+function getLanguageChain(language) {
+  const tag = canonicalLanguage(language);
+  const parts = tag ? tag.split("-") : [];
+  const chain = parts.map((_, i) => parts.slice(0, parts.length - i).join("-"));
+  return chain.includes(DEFAULT_LANGUAGE) ? chain : [...chain, DEFAULT_LANGUAGE];
+}
+
+function fillMessage(text, params) {
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => params?.[name] ?? m);
+}
+
+/**
+ * Translator for a language. `t(key, params)` is the filled message, or the
+ * key itself when no catalogue has it; `t.find(key)` is the raw message or
+ * undefined; `t.plural(forms, count)` picks from plural forms.
+ * @param {string} [language] e.g. "fr-CA"; English when missing or unknown
+ * @param {object} [overrides] the payload's `messages`
+ * @throws {InvalidMessagesError}
+ */
+function createTranslator(language, overrides) {
+  const catalogues = getMessageCatalogues(overrides);
+  const chain = getLanguageChain(language).filter((l) => catalogues[l]);
+  const rules = new Map();
+  const pluralRules = (lang) => {
+    if (!rules.has(lang)) rules.set(lang, new Intl.PluralRules(lang));
+    return rules.get(lang);
+  };
+
+  // message and the language it was found in
+  const lookup = (key) => {
+    for (const lang of chain) {
+      const message = catalogues[lang][key];
+      if (message != null) return { message, lang };
+    }
+    return null;
+  };
+  const pick = (forms, count, lang) =>
+    forms[pluralRules(lang).select(Number(count) || 0)] ?? forms.other;
+
+  const t = (key, params = {}) => {
+    const found = lookup(key);
+    if (!found) return key;
+    const { message, lang } = found;
+    const text = isPluralForms(message)
+      ? pick(message, params.count, lang)
+      : message;
+    return fillMessage(text, params);
+  };
+  t.language = chain[0];
+  t.find = (key) => lookup(key)?.message;
+  t.plural = (forms, count) =>
+    isPluralForms(forms) ? pick(forms, count, t.language) : forms;
+  return t;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  InvalidMessagesError,
+  getMessageCatalogues,
+  getLanguageChain,
+  createTranslator,
+};
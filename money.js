@@ -0,0 +1,132 @@
+// Money in integer cents: strict parsing of payload amounts, explicit
+// rounding, and the one display format used for every amount in the document
+// (the currency's minor units, always shown, in the locale profile's style).
+//
+// Rounding rule: half away from zero, to the cent, once per derived amount
+// (line cost, discount, GST, period total). Sums are taken in cents, so they
+// are exact. No npm dependencies, so the validator can share the patterns.
+
+// "1234", "1234.5", "1,234.56", "$1,234", "$ 310.00". A comma is only ever
+// a thousands separator in groups of three, so "1,234" is 1234 and "12,5"
+// or "1.234,56" are rejected rather than guessed.
+const MONEY_PATTERN =
+  "^\\s*\\$?\\s*(\\d{1,3}(,\\d{3})+|\\d+)(\\.\\d{1,2})?\\s*$";
+const NUMBER_PATTERN = "^\\s*-?(\\d{1,3}(,\\d{3})+|\\d+)(\\.\\d+)?\\s*$";
+
+const MONEY_RE = new RegExp(MONEY_PATTERN);
+const NUMBER_RE = new RegExp(NUMBER_PATTERN);
+
+class InvalidNumberError extends Error {
+  constructor(value, kind = "number") {
+    super(`Invalid ${kind}: ${JSON.stringify(value)}`);
+    this.name = "InvalidNumberError";
+    this.statusCode = 400;
+    this.value = value;
+  }
+}
+
+function isBlank(value) {
+  return value == null || (typeof value === "string" && !value.trim());
+}
+
+// Half away from zero; float noise (1.005 * 100 = 100.49999...) is trimmed
+// first so values that are exact in decimal round as written.
+function roundHalfUp(x) {
+  if (!Number.isFinite(x)) return 0;
+  const abs = Number(Math.abs(x).toPrecision(12));
+  return Math.sign(x) * Math.floor(abs + 0.5) || 0;
+}
+
+/**
+ * Strict number from a payload value: finite numbers, or strings with
+ * optional thousands separators. Blank is 0.
+ * @throws {InvalidNumberError}
+ */
+function parseNumber(value) {
+  if (typeof value === "number") {
+    if (Number.isFinite(value)) return value;
+    throw new InvalidNumberError(value);
+  }
+  if (isBlank(value)) return 0;
+  const s = String(value);
+  if (!NUMBER_RE.test(s)) throw new InvalidNumberError(value);
+  return Number(s.replace(/[\s,]/g, ""));
+}
+
+/**
+ * Amount in whole cents from a number of dollars or a money string
+ * ("$1,234.50"). Blank is 0.
+ * @throws {InvalidNumberError}
+ */
+function toCents(value) {
+  if (typeof value === "number") {
+    if (Number.isFinite(value)) return roundHalfUp(value * 100);
+    throw new InvalidNumberError(value, "amount");
+  }
+  if (isBlank(value)) return 0;
+  const s = String(value);
+  if (!MONEY_RE.test(s)) throw new InvalidNumberError(value, "amount");
+  const [dollars, cents = ""] = s.replace(/[\s$,]/g, "").split(".");
+  return Number(dollars) * 100 + Number(cents.padEnd(2, "0"));
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// cents x quantity, rate or factor, rounded to the cent
+function multiplyCents(cents, factor) {
+  return roundHalfUp(cents * factor);
+}
+
+function percentOfCents(cents, pct) {
+  return roundHalfUp((cents * pct) / 100);
+}
+
+/** Exact sum of dollar amounts, via cents. */
+function sumMoney(amounts) {
+  return fromCents(
+    (amounts ?? []).reduce((acc, a) => acc + toCents(a ?? 0), 0)
+  );
+}
+
+const formatters = new Map();
+
+function currencyFormatter(locale, currency) {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.NumberFormat(locale, { style: "currency", currency })
+    );
+  }
+  return formatters.get(key);
+}
+
+/**
+ * "$1,234.50", "-$12.00" for en-AU / AUD.
+ * @param {{ locale?: string, currency?: string }} [profile] a locale profile
+ */
+function formatCents(cents, { locale = "en-AU", currency = "AUD" } = {}) {
+  return currencyFormatter(locale, currency).format(fromCents(cents));
+}
+
+/** Display format for any amount in dollars (number or money string). */
+function formatMoney(amount, profile) {
+  return formatCents(toCents(amount ?? 0), profile);
+}
+
+module.exports = {
+  MONEY_PATTERN,
+  NUMBER_PATTERN,
+  InvalidNumberError,
+  roundHalfUp,
+  parseNumber,
+  toCents,
+  fromCents,
+  multiplyCents,
+  percentOfCents,
+  sumMoney,
+  formatCents,
+  formatMoney,
+};
@@ -0,0 +1,808 @@
+// Pricing: line items, discounts, GST and contract totals.
+// Shared by fillData (rendering) and external callers such as the CRM.
+// Amounts are worked in integer cents (see money.js) and returned in dollars,
+// exact to the cent.
+
+const {
+  parseISO,
+  isValid,
+  addMonths,
+  differenceInMonths,
+  differenceInCalendarDays,
+} = require("date-fns");
+const {
+  getServiceCatalogue,
+  getServiceDetail,
+  getServiceQuantityValue,
+} = require("./serviceCatalogue");
+const {
+  DEFAULT_FREQUENCY_MODEL,
+  isNoFrequency,
+  resolveFrequency,
+} = require("./frequencies");
+const {
+  DEFAULT_PRICING_POLICY,
+  getTier,
+  getPriceLockMonths,
+  getComplimentary,
+} = require("./pricingPolicy");
+const {
+  InvalidNumberError,
+  parseNumber,
+  toCents,
+  fromCents,
+  multiplyCents,
+  percentOfCents,
+  sumMoney,
+} = require("./money");
+
+// constants
+const DEFAULT_GST_RATE = 0.1;
+const TERM_PRICING = { PRORATE: "prorate", WHOLE_VISITS: "whole-visits" };
+
+const DEFAULT_CATALOGUE = getServiceCatalogue();
+
+// ---- numbers ----
+// Strict: blank is 0, ambiguous strings such as "12,5" throw InvalidNumberError
+function getNumber(val) {
+  return parseNumber(val);
+}
+
+// Discount off a subtotal, both in cents
+function applyDiscount(subtotalCents, discountPct) {
+  const discountCents = percentOfCents(subtotalCents, discountPct);
+  return {
+    discountCents,
+    totalCents: Math.max(0, subtotalCents - discountCents),
+  };
+}
+
+// ---- discounts & frequencies ----
+// Service discount % of the policy tier for a number of selected services
+function getDiscountDefault(serviceCount, policy = DEFAULT_PRICING_POLICY) {
+  return getTier(serviceCount, policy)?.discountPct ?? 0;
+}
+
+function getIncentiveTier(serviceCount, policy = DEFAULT_PRICING_POLICY) {
+  return getTier(serviceCount, policy)?.name ?? null;
+}
+
+// Visits per year; 0 when not selected. Throws UnknownFrequencyError for
+// values missing from the model rather than guessing.
+function frequencyToMultiplier(frequency, model = DEFAULT_FREQUENCY_MODEL) {
+  return resolveFrequency(frequency, model)?.visitsPerYear ?? 0;
+}
+
+function countSelectedServices(
+  frequencies = {},
+  catalogue = DEFAULT_CATALOGUE
+) {
+  return Object.values(catalogue)
+    .map((entry) => frequencies?.[entry.frequencyField])
+    .filter((f) => !isNoFrequency(f)).length;
+}
+
+// `getDiscount` (serviceCount => %) overrides the policy when given
+function getDiscountPct({
+  frequencies,
+  getDiscount,
+  incentives,
+  catalogue = DEFAULT_CATALOGUE,
+  policy = DEFAULT_PRICING_POLICY,
+}) {
+  if (!incentives) return 0;
+  const serviceCount = countSelectedServices(frequencies, catalogue);
+  const discountFor = getDiscount ?? ((n) => getDiscountDefault(n, policy));
+  return Number(discountFor(serviceCount)) || 0;
+}
+
+// Price lock of the incentive tier; none without incentives
+function getPriceLock({
+  frequencies,
+  incentives,
+  catalogue = DEFAULT_CATALOGUE,
+  policy = DEFAULT_PRICING_POLICY,
+}) {
+  if (!incentives) return 0;
+  const serviceCount = countSelectedServices(frequencies, catalogue);
+  return getPriceLockMonths(getTier(serviceCount, policy));
+}
+
+// Complimentary service of the incentive tier; none without incentives
+function getComplimentaryService({
+  frequencies,
+  incentives,
+  catalogue = DEFAULT_CATALOGUE,
+  policy = DEFAULT_PRICING_POLICY,
+}) {
+  if (!incentives) return null;
+  const serviceCount = countSelectedServices(frequencies, catalogue);
+  return getComplimentary(getTier(serviceCount, policy));
+}
+
+// ---- negotiated prices ----
+const PRICE_ADJUSTMENTS = ["override_price", "discount_pct", "discount_amount"];
+
+function hasValue(v) {
+  return v != null && String(v).trim() !== "";
+}
+
+/**
+ * List and negotiated unit price of one service. A service may carry one of
+ * `override_price` (replaces the price), `discount_pct` or `discount_amount`
+ * (taken off the unit price), with a `discount_reason`.
+ * @throws {InvalidNumberError} when a discount_amount exceeds the price
+ * @returns {{ listPrice: number, unitPrice: number,
+ *   adjustment: { type: string, value: number, reason: string } | null }}
+ */
+function getServicePricing(service) {
+  const listCents = toCents(service?.price);
+  const listPrice = fromCents(listCents);
+  const type = PRICE_ADJUSTMENTS.find((f) => hasValue(service?.[f]));
+  if (!type) return { listPrice, unitPrice: listPrice, adjustment: null };
+
+  let value;
+  let unitCents = listCents;
+  if (type === "discount_pct") {
+    value = parseNumber(String(service[type]).replace("%", ""));
+    unitCents = listCents - percentOfCents(listCents, value);
+  } else {
+    const cents = toCents(service[type]);
+    value = fromCents(cents);
+    unitCents = type === "override_price" ? cents : listCents - cents;
+  }
+  if (unitCents < 0) {
+    throw new InvalidNumberError(service[type], `${type} above the price`);
+  }
+
+  return {
+    listPrice,
+    unitPrice: fromCents(unitCents),
+    adjustment: {
+      type,
+      value,
+      reason: String(service?.discount_reason ?? "").trim(),
+    },
+  };
+}
+
+// ---- services ----
+function getServices(sites, type) {
+  if (!Array.isArray(sites) || !type) return { type, items: [] };
+  const items = sites.flatMap((site) =>
+    (site?.buildings ?? []).flatMap((b) =>
+      (b?.services ?? [])
+        .filter((s) => s && s.type === type)
+        .map((s) => ({
+          site_name: site?.site_name ?? "",
+          site_id: site?.simpro_site_id ?? null,
+          building_id: b?.id ?? null,
+          building_name: b?.name || null,
+          ...s,
+        }))
+    )
+  );
+  return { type, items };
+}
+
+function getServiceAnualCost(
+  services,
+  frequency,
+  model = DEFAULT_FREQUENCY_MODEL
+) {
+  const mult = frequencyToMultiplier(frequency, model);
+  if (!mult || !Array.isArray(services) || services.length === 0) return 0;
+  return sumMoney(
+    services.map((s) =>
+      fromCents(multiplyCents(toCents(getServicePricing(s).unitPrice), mult))
+    )
+  );
+}
+
+/**
+ * One line per selected service, building and site, in document order.
+ */
+function getLineItems({
+  sites = [],
+  frequencies = {},
+  odourControlUnits = {},
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = DEFAULT_CATALOGUE,
+}) {
+  return Object.values(catalogue).flatMap((entry) => {
+    const { type } = entry;
+    const frequency = frequencies?.[entry.frequencyField] ?? null;
+    const visitsPerYear = frequencyToMultiplier(frequency, frequencyModel);
+    if (!visitsPerYear) return [];
+
+    return getServices(sites, type).items.map((s) => {
+      const { listPrice, unitPrice, adjustment } = getServicePricing(s);
+      const quantity = getNumber(
+        getServiceQuantityValue(entry, s, odourControlUnits)
+      );
+      return {
+        id: s?.id ?? null,
+        type,
+        label: entry.title,
+        detail: getServiceDetail(entry, s),
+        site_name: s.site_name,
+        site_id: s.site_id,
+        building_id: s.building_id,
+        building_name: s.building_name,
+        frequency,
+        listPrice,
+        unitPrice,
+        adjustment,
+        quantity,
+        visitsPerYear,
+        annualCost: fromCents(
+          multiplyCents(toCents(unitPrice), quantity * visitsPerYear)
+        ),
+      };
+    });
+  });
+}
+
+// Annual cost of each service type at its selected frequency
+function computeServiceAnnuals({
+  sites = [],
+  frequencies = {},
+  odourControlUnits = {},
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = DEFAULT_CATALOGUE,
+}) {
+  const lines = getLineItems({
+    sites,
+    frequencies,
+    odourControlUnits,
+    frequencyModel,
+    catalogue,
+  });
+  return Object.values(catalogue).map(({ type, frequencyField }) => ({
+    type,
+    frequency: frequencies?.[frequencyField] ?? null,
+    annual: sumMoney(
+      lines.filter((l) => l.type === type).map((l) => l.annualCost)
+    ),
+  }));
+}
+
+function computeGrandTotal({
+  sites = [],
+  frequencies = {},
+  odourControlUnits = {},
+  getDiscount,
+  policy = DEFAULT_PRICING_POLICY,
+  incentives,
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = DEFAULT_CATALOGUE,
+}) {
+  const subtotal = sumMoney(
+    computeServiceAnnuals({
+      sites,
+      frequencies,
+      odourControlUnits,
+      frequencyModel,
+      catalogue,
+    }).map((s) => s.annual)
+  );
+
+  const discountPct = getDiscountPct({
+    frequencies,
+    getDiscount,
+    incentives,
+    catalogue,
+    policy,
+  });
+
+  return fromCents(applyDiscount(toCents(subtotal), discountPct).totalCents);
+}
+
+// ---- contract term ----
+function getContractTerm(startIso, endIso) {
+  const start = typeof startIso === "string" ? parseISO(startIso) : null;
+  const end = typeof endIso === "string" ? parseISO(endIso) : null;
+  if (!isValid(start) || !isValid(end) || end <= start) return null;
+
+  const months = differenceInMonths(end, start);
+  const anchor = addMonths(start, months);
+  const days = differenceInCalendarDays(end, anchor);
+  const daysInMonth = differenceInCalendarDays(addMonths(anchor, 1), anchor);
+
+  return { months, days, totalMonths: months + days / daysInMonth };
+}
+
+// Number of visits falling inside the term, counting the first one on the start date
+function visitsInTerm(
+  frequency,
+  totalMonths,
+  model = DEFAULT_FREQUENCY_MODEL
+) {
+  const mult = frequencyToMultiplier(frequency, model);
+  if (!mult || !(totalMonths > 0)) return 0;
+  // tolerate float noise so 24 months of quarterly is 8 visits, not 9
+  return Math.ceil((totalMonths * mult) / 12 - 1e-9);
+}
+
+// Undiscounted cost in cents of the months [fromMonth, toMonth) of the term
+function periodSubtotalCents(annuals, fromMonth, toMonth, pricing, model) {
+  if (pricing === TERM_PRICING.WHOLE_VISITS) {
+    return annuals.reduce((acc, s) => {
+      const mult = frequencyToMultiplier(s.frequency, model);
+      if (!mult) return acc;
+      const visits =
+        visitsInTerm(s.frequency, toMonth, model) -
+        visitsInTerm(s.frequency, fromMonth, model);
+      return acc + multiplyCents(toCents(s.annual), visits / mult);
+    }, 0);
+  }
+  const annual = toCents(sumMoney(annuals.map((s) => s.annual)));
+  return multiplyCents(annual, (toMonth - fromMonth) / 12);
+}
+
+// Cost in cents of the complimentary service in the months [fromMonth,
+// toMonth) that fall within its free months
+function waivedCents(annuals, fromMonth, toMonth, free, pricing, model) {
+  const to = Math.min(toMonth, free?.months ?? 0);
+  if (to <= fromMonth) return 0;
+  const waived = annuals.filter((s) => s.type === free.type);
+  return periodSubtotalCents(waived, fromMonth, to, pricing, model);
+}
+
+/**
+ * Total value of the agreement over its actual term.
+ * `pricing` is "prorate" (annual cost x term in years) or "whole-visits"
+ * (per-visit cost x visits scheduled within the term).
+ * With an `escalation` policy it is the sum of the escalated contract years.
+ * The incentive tier's complimentary service is waived for its free months
+ * unless `waive` is false.
+ * Null without a term: the agreement's value is never assumed.
+ */
+function computeContractTotal({
+  sites = [],
+  frequencies = {},
+  odourControlUnits = {},
+  getDiscount,
+  policy = DEFAULT_PRICING_POLICY,
+  incentives,
+  term,
+  pricing = TERM_PRICING.PRORATE,
+  escalation = null,
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = DEFAULT_CATALOGUE,
+  waive = true,
+}) {
+  if (escalation) {
+    const years = computeEscalationSchedule({
+      sites,
+      frequencies,
+      odourControlUnits,
+      getDiscount,
+      policy,
+      incentives,
+      term,
+      pricing,
+      escalation,
+      frequencyModel,
+      catalogue,
+      waive,
+    });
+    return term ? sumMoney(years.map((y) => y.totalExGst)) : null;
+  }
+
+  if (!term) return null;
+  const totalMonths = term.totalMonths;
+  const annuals = computeServiceAnnuals({
+    sites,
+    frequencies,
+    odourControlUnits,
+    frequencyModel,
+    catalogue,
+  });
+
+  const free =
+    waive &&
+    getComplimentaryService({ frequencies, incentives, catalogue, policy });
+  const subtotalCents =
+    periodSubtotalCents(annuals, 0, totalMonths, pricing, frequencyModel) -
+    waivedCents(annuals, 0, totalMonths, free, pricing, frequencyModel);
+
+  const discountPct = getDiscountPct({
+    frequencies,
+    getDiscount,
+    incentives,
+    catalogue,
+    policy,
+  });
+
+  return fromCents(applyDiscount(subtotalCents, discountPct).totalCents);
+}
+
+// ---- per-site totals ----
+/**
+ * Annual cost of each site, in payload order, with the quote's discount
+ * applied per site so each can be budgeted on its own.
+ * @returns {{ site_id, site_name, buildings: number, lines: number,
+ *   subtotal: number, discountAmount: number, totalExGst: number }[]}
+ */
+function summarizeBySite(lineItems, discountPct = 0) {
+  const sites = new Map();
+  for (const l of lineItems ?? []) {
+    const key = l.site_id ?? l.site_name ?? "";
+    if (!sites.has(key)) {
+      sites.set(key, {
+        site_id: l.site_id ?? null,
+        site_name: l.site_name ?? "",
+        buildings: new Set(),
+        lines: 0,
+        subtotalCents: 0,
+      });
+    }
+    const site = sites.get(key);
+    site.buildings.add(l.building_id ?? l.building_name);
+    site.lines += 1;
+    site.subtotalCents += toCents(l.annualCost);
+  }
+  return [...sites.values()].map(({ subtotalCents, ...site }) => {
+    const { discountCents, totalCents } = applyDiscount(
+      subtotalCents,
+      discountPct
+    );
+    return {
+      ...site,
+      buildings: site.buildings.size,
+      subtotal: fromCents(subtotalCents),
+      discountAmount: fromCents(discountCents),
+      totalExGst: fromCents(totalCents),
+    };
+  });
+}
+
+// ---- building x service matrix ----
+/**
+ * Line items rolled up into one row per site and building and one column
+ * per service type, with row, column and grand totals (annual, ex GST,
+ * before any discount). Rows and columns keep payload and catalogue order;
+ * only service types with lines get a column.
+ * @returns {{ columns: { type, label, frequency, quantity, annualCost }[],
+ *   rows: { site_id, site_name, building_id, building_name,
+ *     cells: ({ quantity, frequency, annualCost }|null)[],
+ *     annualCost: number }[], annualCost: number }}
+ */
+function getServiceMatrix(lineItems, catalogue = DEFAULT_CATALOGUE) {
+  const lines = lineItems ?? [];
+  const columns = Object.values(catalogue)
+    .filter((entry) => lines.some((l) => l.type === entry.type))
+    .map((entry) => ({ type: entry.type, label: entry.title }));
+
+  const rows = new Map();
+  for (const l of lines) {
+    const key = JSON.stringify([
+      l.site_id ?? l.site_name,
+      l.building_id ?? l.building_name,
+    ]);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        site_id: l.site_id ?? null,
+        site_name: l.site_name ?? "",
+        building_id: l.building_id ?? null,
+        building_name: l.building_name ?? null,
+        lines: [],
+      });
+    }
+    rows.get(key).lines.push(l);
+  }
+
+  const sum = (items, field) => sumMoney(items.map((x) => x?.[field] ?? 0));
+
+  const matrixRows = [...rows.values()].map(({ lines: own, ...row }) => {
+    const cells = columns.map(({ type }) => {
+      const cellLines = own.filter((l) => l.type === type);
+      if (!cellLines.length) return null;
+      return {
+        quantity: cellLines.reduce((acc, l) => acc + l.quantity, 0),
+        frequency: cellLines[0].frequency,
+        annualCost: sum(cellLines, "annualCost"),
+      };
+    });
+    return { ...row, cells, annualCost: sum(cells, "annualCost") };
+  });
+
+  return {
+    columns: columns.map((col, i) => {
+      const cells = matrixRows.map((r) => r.cells[i]).filter(Boolean);
+      return {
+        ...col,
+        frequency: cells[0]?.frequency ?? null,
+        quantity: cells.reduce((acc, c) => acc + c.quantity, 0),
+        annualCost: sum(cells, "annualCost"),
+      };
+    }),
+    rows: matrixRows,
+    annualCost: sum(matrixRows, "annualCost"),
+  };
+}
+
+// ---- escalation ----
+/**
+ * Contract years (the last may be part of a year) and their price increase.
+ * Prices rise by the escalation rate, compounding, on each anniversary that
+ * falls after the price lock; anniversaries inside the lock are skipped.
+ * @returns {{ year: number, fromMonth: number, months: number,
+ *   increasePct: number, factor: number, locked: boolean }[]}
+ */
+function getEscalationYears(totalMonths, escalation, priceLockMonths = 0) {
+  const years = [];
+  let factor = 1;
+  // tolerate float noise so a 24 month term is two years, not three
+  for (let fromMonth = 0; fromMonth < totalMonths - 1e-9; fromMonth += 12) {
+    const locked = fromMonth < priceLockMonths;
+    const increasePct =
+      fromMonth > 0 && !locked ? escalation?.ratePct ?? 0 : 0;
+    factor *= 1 + increasePct / 100;
+    years.push({
+      year: years.length + 1,
+      fromMonth,
+      months: Math.min(12, totalMonths - fromMonth),
+      increasePct,
+      factor,
+      locked,
+    });
+  }
+  return years;
+}
+
+/**
+ * Year-by-year pricing over the contract term under an escalation policy,
+ * with the incentive tier's price lock and complimentary service honoured
+ * (the service is charged when `waive` is false); `subtotal` excludes the
+ * waived months. Amounts are rounded to
+ * cents per year; the contract total is their sum.
+ */
+function computeEscalationSchedule({
+  sites = [],
+  frequencies = {},
+  odourControlUnits = {},
+  getDiscount,
+  policy = DEFAULT_PRICING_POLICY,
+  incentives,
+  term,
+  pricing = TERM_PRICING.PRORATE,
+  escalation = null,
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = DEFAULT_CATALOGUE,
+  waive = true,
+}) {
+  if (!term) return [];
+  const totalMonths = term.totalMonths;
+  const annuals = computeServiceAnnuals({
+    sites,
+    frequencies,
+    odourControlUnits,
+    frequencyModel,
+    catalogue,
+  });
+  const discountPct = getDiscountPct({
+    frequencies,
+    getDiscount,
+    incentives,
+    catalogue,
+    policy,
+  });
+  const priceLockMonths = getPriceLock({
+    frequencies,
+    incentives,
+    catalogue,
+    policy,
+  });
+  const free =
+    waive &&
+    getComplimentaryService({ frequencies, incentives, catalogue, policy });
+
+  return getEscalationYears(totalMonths, escalation, priceLockMonths).map(
+    (y) => {
+      const toMonth = y.fromMonth + y.months;
+      const subtotalCents = multiplyCents(
+        periodSubtotalCents(
+          annuals,
+          y.fromMonth,
+          toMonth,
+          pricing,
+          frequencyModel
+        ) -
+          waivedCents(
+            annuals,
+            y.fromMonth,
+            toMonth,
+            free,
+            pricing,
+            frequencyModel
+          ),
+        y.factor
+      );
+      const { discountCents, totalCents } = applyDiscount(
+        subtotalCents,
+        discountPct
+      );
+      return {
+        ...y,
+        subtotal: fromCents(subtotalCents),
+        discountAmount: fromCents(discountCents),
+        totalExGst: fromCents(totalCents),
+      };
+    }
+  );
+}
+
+// ---- quote ----
+/**
+ * Structured quote: itemised annual costs, discount, GST and inclusive totals
+ * for one year and for the whole contract term. All amounts are rounded to
+ * cents; totals exclude GST unless named otherwise. The annual figures are
+ * first-year prices; with an `escalation` policy `contract.escalation` holds
+ * the year-by-year schedule the contract total is built from, and
+ * `contract.complimentary` the incentive tier's service waived from it, with
+ * the `amount` waived (after discount, ex GST): `contract.subtotalExGst` less
+ * that amount is `contract.totalExGst`.
+ * `contract` is null without a term (missing or reversed dates).
+ */
+function computeQuote({
+  sites = [],
+  frequencies = {},
+  odourControlUnits = {},
+  getDiscount,
+  policy = DEFAULT_PRICING_POLICY,
+  incentives,
+  gstRate = DEFAULT_GST_RATE,
+  term = null,
+  pricing = TERM_PRICING.PRORATE,
+  escalation = null,
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = DEFAULT_CATALOGUE,
+}) {
+  const rate =
+    Number.isFinite(gstRate) && gstRate >= 0 ? gstRate : DEFAULT_GST_RATE;
+  const lineItems = getLineItems({
+    sites,
+    frequencies,
+    odourControlUnits,
+    frequencyModel,
+    catalogue,
+  });
+  const serviceCount = countSelectedServices(frequencies, catalogue);
+
+  const subtotalCents = toCents(sumMoney(lineItems.map((l) => l.annualCost)));
+  const discountPct = getDiscountPct({
+    frequencies,
+    getDiscount,
+    incentives,
+    catalogue,
+    policy,
+  });
+  const { discountCents, totalCents } = applyDiscount(
+    subtotalCents,
+    discountPct
+  );
+  const gstCents = multiplyCents(totalCents, rate);
+
+  const schedule = escalation
+    ? computeEscalationSchedule({
+        sites,
+        frequencies,
+        odourControlUnits,
+        getDiscount,
+        incentives,
+        term,
+        pricing,
+        escalation,
+        frequencyModel,
+        catalogue,
+        policy,
+      })
+    : null;
+  const contractTotal = schedule
+    ? sumMoney(schedule.map((y) => y.totalExGst))
+    : computeContractTotal({
+        sites,
+        frequencies,
+        odourControlUnits,
+        getDiscount,
+        incentives,
+        term,
+        pricing,
+        frequencyModel,
+        catalogue,
+        policy,
+      });
+  const complimentary = getComplimentaryService({
+    frequencies,
+    incentives,
+    catalogue,
+    policy,
+  });
+  // the contract charged in full, so the waiver is an amount of its own
+  const chargedTotal = complimentary
+    ? computeContractTotal({
+        sites,
+        frequencies,
+        odourControlUnits,
+        getDiscount,
+        incentives,
+        term,
+        pricing,
+        escalation,
+        frequencyModel,
+        catalogue,
+        policy,
+        waive: false,
+      })
+    : contractTotal;
+  const chargedCents = toCents(chargedTotal ?? 0);
+  const contractCents = toCents(contractTotal ?? 0);
+  const contractGstCents = multiplyCents(contractCents, rate);
+
+  return {
+    lineItems,
+    serviceCount,
+    sites: summarizeBySite(lineItems, discountPct),
+    subtotal: fromCents(subtotalCents),
+    discount: {
+      tier: incentives ? getIncentiveTier(serviceCount, policy) : null,
+      pct: discountPct,
+      amount: fromCents(discountCents),
+    },
+    totalExGst: fromCents(totalCents),
+    gst: { rate, amount: fromCents(gstCents) },
+    total: fromCents(totalCents + gstCents),
+    contract: term && {
+      months: term.totalMonths,
+      pricing,
+      subtotalExGst: fromCents(chargedCents),
+      totalExGst: fromCents(contractCents),
+      gst: fromCents(contractGstCents),
+      total: fromCents(contractCents + contractGstCents),
+      complimentary: complimentary && {
+        ...complimentary,
+        amount: fromCents(chargedCents - contractCents),
+      },
+      escalation: schedule && {
+        ...escalation,
+        priceLockMonths: getPriceLock({
+          frequencies,
+          incentives,
+          catalogue,
+          policy,
+        }),
+        years: schedule,
+      },
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  TERM_PRICING,
+  getNumber,
+  PRICE_ADJUSTMENTS,
+  getServicePricing,
+  getDiscountDefault,
+  getIncentiveTier,
+  frequencyToMultiplier,
+  countSelectedServices,
+  getDiscountPct,
+  getPriceLock,
+  getComplimentaryService,
+  getServices,
+  getServiceAnualCost,
+  getLineItems,
+  computeServiceAnnuals,
+  computeGrandTotal,
+  summarizeBySite,
+  getServiceMatrix,
+  getContractTerm,
+  visitsInTerm,
+  computeContractTotal,
+  getEscalationYears,
+  computeEscalationSchedule,
+  computeQuote,
+};
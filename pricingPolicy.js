@@ -0,0 +1,206 @@
+// Pricing policy: incentive tiers by number of selected services, with their
+// service discount, parts discount and perks. The pricing maths and the
+// incentives table both read from here, so the copy can't promise a discount
+// the totals don't apply. Payloads may override it via `pricingPolicy`.
+//
+// Perk text may use {discountPct}, {partsDiscountPct}, {priceLockMonths} and
+// {complimentaryMonths}; they are filled from the tier so the wording follows
+// the numbers. A tier's `complimentary` service is free for its first months:
+// pricing waives that cost from the contract total.
+//
+// Multi-year agreements may also carry an escalation policy (annual CPI or
+// fixed-percentage increases); a tier's price lock defers those increases.
+
+const DEFAULT_PRICING_POLICY = {
+  tiers: [
+    {
+      name: "BASIC",
+      minServices: 3,
+      maxServices: 3,
+      discountPct: 0,
+      partsDiscountPct: 0,
+      priceLockMonths: 24,
+      perks: [
+        "Price Lock Guarantee ({priceLockMonths} Months)",
+        "Priority Response Within 8 Hours",
+        "Priority Booking",
+      ],
+    },
+    {
+      name: "ESSENTIAL",
+      minServices: 4,
+      maxServices: 5,
+      discountPct: 5,
+      partsDiscountPct: 10,
+      priceLockMonths: 24,
+      perks: [
+        "Price Lock Guarantee ({priceLockMonths} Months)",
+        "Priority Response Within 8 Hours",
+        "Priority Booking",
+        "Flexible 21-Day Payment Terms",
+        "{partsDiscountPct}% Discounts on Parts",
+        "{discountPct}% Service Pricing Discounts",
+      ],
+    },
+    {
+      name: "PREMIUM",
+      minServices: 6,
+      maxServices: null,
+      discountPct: 10,
+      partsDiscountPct: 15,
+      priceLockMonths: 24,
+      complimentary: { type: "odour_control", months: 3 },
+      perks: [
+        "Price Lock Guarantee ({priceLockMonths} Months)",
+        "Priority Response Within 8 Hours",
+        "Priority Booking",
+        "Flexible 21-Day Payment Terms",
+        "{partsDiscountPct}% Discounts on Parts",
+        "{discountPct}% Service Pricing Discounts",
+        "Complimentary Odour Control (First {complimentaryMonths} Months)",
+      ],
+    },
+  ],
+};
+
+class InvalidPricingPolicyError extends Error {
+  constructor(message) {
+    super(`Invalid pricing policy: ${message}`);
+    this.name = "InvalidPricingPolicyError";
+  }
+}
+
+function checkTiers(tiers) {
+  if (!Array.isArray(tiers)) throw new InvalidPricingPolicyError("no tiers");
+  let prevMax = -Infinity;
+  tiers.forEach((t, i) => {
+    const where = `tiers[${i}] (${t?.name ?? "unnamed"})`;
+    if (!t?.name) throw new InvalidPricingPolicyError(`${where} needs a name`);
+    if (!Number.isInteger(t.minServices) || t.minServices < 0) {
+      throw new InvalidPricingPolicyError(`${where} needs minServices >= 0`);
+    }
+    if (t.maxServices != null && t.maxServices < t.minServices) {
+      throw new InvalidPricingPolicyError(`${where} has maxServices < minServices`);
+    }
+    if (t.minServices <= prevMax) {
+      throw new InvalidPricingPolicyError(`${where} overlaps the tier before it`);
+    }
+    if (!(t.discountPct >= 0 && t.discountPct <= 100)) {
+      throw new InvalidPricingPolicyError(`${where} discountPct must be 0-100`);
+    }
+    const free = t.complimentary;
+    const validFree =
+      typeof free?.type === "string" &&
+      Number.isInteger(free.months) &&
+      free.months >= 0;
+    if (free != null && !validFree) {
+      throw new InvalidPricingPolicyError(
+        `${where} complimentary needs a service type and whole months`
+      );
+    }
+    prevMax = t.maxServices ?? Infinity;
+  });
+  return tiers;
+}
+
+/**
+ * Default policy with overrides applied. `overrides.tiers` is either a full
+ * replacement list, or an object of per-tier changes keyed by tier name,
+ * e.g. { tiers: { PREMIUM: { discountPct: 15 } } } for a promotion.
+ * @throws {InvalidPricingPolicyError}
+ */
+function getPricingPolicy(overrides) {
+  const base = DEFAULT_PRICING_POLICY.tiers;
+  const o = overrides?.tiers;
+  let tiers = base;
+  if (Array.isArray(o)) {
+    tiers = o.map((t) => ({
+      discountPct: 0,
+      partsDiscountPct: 0,
+      perks: [],
+      ...t,
+      maxServices: t?.maxServices ?? null,
+    }));
+  } else if (o && typeof o === "object") {
+    const unknown = Object.keys(o).filter(
+      (name) => !base.some((t) => t.name === name)
+    );
+    if (unknown.length) {
+      throw new InvalidPricingPolicyError(`unknown tier ${unknown.join(", ")}`);
+    }
+    tiers = base.map((t) => ({ ...t, ...(o[t.name] ?? {}) }));
+  }
+  return { tiers: checkTiers(tiers) };
+}
+
+/** Tier for a number of selected services, or null below the first tier. */
+function getTier(serviceCount, policy = DEFAULT_PRICING_POLICY) {
+  const c = Number.isFinite(serviceCount) ? serviceCount : 0;
+  return (
+    policy.tiers.find(
+      (t) => c >= t.minServices && (t.maxServices == null || c <= t.maxServices)
+    ) ?? null
+  );
+}
+
+// Months a tier holds prices at the quoted rate
+function getPriceLockMonths(tier) {
+  return Number.isInteger(tier?.priceLockMonths) ? tier.priceLockMonths : 0;
+}
+
+/** Complimentary service of a tier ({ type, months }), or null. */
+function getComplimentary(tier) {
+  const free = tier?.complimentary;
+  return free?.type && free.months > 0
+    ? { type: free.type, months: free.months }
+    : null;
+}
+
+/** Perk lines of a tier with its numbers filled in. */
+function getTierPerks(tier) {
+  const values = {
+    ...tier,
+    complimentaryMonths: getComplimentary(tier)?.months,
+  };
+  return (tier?.perks ?? []).map((perk) =>
+    String(perk).replace(/\{(\w+)\}/g, (m, key) => values[key] ?? m)
+  );
+}
+
+// ---- escalation ----
+// "fixed" raises prices by ratePct on each contract anniversary; "cpi" follows
+// the published CPI, projected at ratePct in the quote.
+const ESCALATION_METHODS = { CPI: "cpi", FIXED: "fixed" };
+
+/**
+ * Escalation from the payload's `serviceAgreement.escalation`, e.g.
+ * { method: "cpi", ratePct: 3.5 }, or null when prices stay flat.
+ * @returns {{ method: "cpi"|"fixed", ratePct: number }|null}
+ * @throws {InvalidPricingPolicyError}
+ */
+function getEscalationPolicy(escalation) {
+  const method = String(escalation?.method ?? "").trim().toLowerCase();
+  if (!method || method === "none") return null;
+  if (!Object.values(ESCALATION_METHODS).includes(method)) {
+    throw new InvalidPricingPolicyError(
+      `unknown escalation method ${JSON.stringify(escalation.method)}`
+    );
+  }
+  const ratePct = Number(escalation.ratePct);
+  if (escalation.ratePct == null || !(ratePct >= 0 && ratePct <= 100)) {
+    throw new InvalidPricingPolicyError("escalation needs a ratePct of 0-100");
+  }
+  return { method, ratePct };
+}
+
+module.exports = {
+  DEFAULT_PRICING_POLICY,
+  ESCALATION_METHODS,
+  InvalidPricingPolicyError,
+  getPricingPolicy,
+  getTier,
+  getPriceLockMonths,
+  getComplimentary,
+  getTierPerks,
+  getEscalationPolicy,
+};
@@ -1,6 +1,5 @@
 const path = require("path");
 const fs = require("fs/promises");
-const os = require("os");
 const { fillData } = require("./fillData");
 
 async function launchBrowser() {
@@ -30,44 +29,172 @@ async function launchBrowser() {
   }
 }
 
+// ---- shared browser ----
+// One Chromium per process, reused across warm Lambda invocations and local
+// batch runs. Relaunched if it crashes or disconnects. Callers may close it
+// with closeBrowser() (see test.js); otherwise it is closed once when the
+// process ends, so no caller leaves a Chromium behind.
+let browserPromise = null;
+// the launched browser, for the synchronous "exit" hook
+let openBrowser = null;
+let exitHooksInstalled = false;
+
+function isConnected(browser) {
+  if (!browser) return false;
+  return typeof browser.connected === "boolean"
+    ? browser.connected
+    : !!browser.isConnected?.();
+}
+
+function installExitHooks() {
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
+
+  process.once("beforeExit", () => closeBrowser());
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, async () => {
+      await closeBrowser();
+      process.kill(process.pid, signal);
+    });
+  }
+  // "exit" handlers can't await, so kill whatever is left directly
+  process.once("exit", () => openBrowser?.process()?.kill("SIGKILL"));
+}
+
+async function getBrowser() {
+  if (browserPromise) {
+    const browser = await browserPromise.catch(() => null);
+    if (isConnected(browser)) return browser;
+    browserPromise = null;
+  }
+
+  const launching = launchBrowser().then((browser) => {
+    openBrowser = browser;
+    browser.once("disconnected", () => {
+      if (openBrowser === browser) openBrowser = null;
+      if (browserPromise === launching) browserPromise = null;
+    });
+    return browser;
+  });
+  browserPromise = launching;
+  launching.catch(() => {
+    if (browserPromise === launching) browserPromise = null;
+  });
+  installExitHooks();
+  return launching;
+}
+
+// Idempotent: later calls find nothing open and return
+async function closeBrowser() {
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) return;
+  const browser = await pending.catch(() => null);
+  if (openBrowser === browser) openBrowser = null;
+  if (browser) await browser.close().catch(() => {});
+}
+
+// Fresh incognito-style context per render so cookies/cache never leak between documents
+async function newIsolatedPage(browser) {
+  const context = browser.createBrowserContext
+    ? await browser.createBrowserContext()
+    : await browser.createIncognitoBrowserContext();
+  const page = await context.newPage();
+  return { context, page };
+}
+
+// ---- in-memory documents ----
+// The document and its relative assets are served from a fake origin through
+// request interception, so nothing is written to disk and fonts/images still
+// resolve from baseDir. Inline data: URLs (the signature) load as usual; any
+// other request is aborted, so the page never reaches the network.
+const DOCUMENT_ORIGIN = "http://document.invalid/";
+
+const MIME_TYPES = {
+  ".css": "text/css",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+// Absolute path of an asset URL inside baseDir, or null if it escapes it
+function resolveAssetPath(baseDir, url) {
+  if (!baseDir) return null;
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url).pathname);
+  } catch {
+    return null;
+  }
+  const root = path.resolve(baseDir);
+  const file = path.resolve(root, `.${pathname}`);
+  return file.startsWith(root + path.sep) ? file : null;
+}
+
+async function serveDocument(request, html, baseDir) {
+  const url = request.url();
+  if (url.startsWith("data:")) return request.continue();
+  if (!url.startsWith(DOCUMENT_ORIGIN)) return request.abort("blockedbyclient");
+
+  if (url === DOCUMENT_ORIGIN) {
+    return request.respond({
+      status: 200,
+      contentType: "text/html; charset=utf-8",
+      body: html,
+    });
+  }
+
+  const file = resolveAssetPath(baseDir, url);
+  const body = file ? await fs.readFile(file).catch(() => null) : null;
+  if (!body) return request.respond({ status: 404, body: "" });
+  return request.respond({
+    status: 200,
+    contentType:
+      MIME_TYPES[path.extname(file).toLowerCase()] ?? "application/octet-stream",
+    body,
+  });
+}
 
 /**
- * @param {string} htmlPath  Absolute path to the HTML template
- * @param {object} data      Object to inject into {{...}} placeholders
- * @param {object} pdfOptions Puppeteer PDF options
+ * Renders an already-filled HTML string to PDF.
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {string} [opts.baseDir]    Folder relative asset URLs (fonts/, images/) resolve from
+ * @param {object} [opts.pdfOptions] Puppeteer PDF options
  */
-async function renderPdfFromHtmlFile(htmlPath, data = {}, pdfOptions = {}) {
-  const browser = await launchBrowser();
+async function renderPdfFromHtml(html, { baseDir, pdfOptions = {} } = {}) {
+  const browser = await getBrowser();
+  const { context, page } = await newIsolatedPage(browser);
   try {
-    const page = await browser.newPage();
-
     page.on("requestfailed", r =>
       console.log("REQUEST FAILED:", r.url(), r.failure()?.errorText)
     );
     page.on("console", msg => console.log("PAGE LOG:", msg.type(), msg.text()));
 
-    // 1) Read template
-    let html = await fs.readFile(htmlPath, "utf8");
-
-    // 2) Ensure relative assets resolve from the *original* folder
-    const templateDir = path.dirname(path.resolve(htmlPath));
-    const baseHref = `file://${templateDir}/`;
-    if (!/<base\s+href=/i.test(html)) {
-      html = html.replace(/<head[^>]*>/i, m => `${m}<base href="${baseHref}">`);
+    // 1) Relative assets resolve against the document origin
+    let doc = String(html ?? "");
+    if (!/<base\s+href=/i.test(doc)) {
+      doc = doc.replace(/<head[^>]*>/i, m => `${m}<base href="${DOCUMENT_ORIGIN}">`);
     }
 
-    // 3) Inject your data placeholders {{...}}
-    html = fillData(html, data);
-
-    // 4) Write to a temp file (Lambda: /tmp; Local: OS temp)
-    const tmpDir = process.env.AWS_EXECUTION_ENV ? "/tmp" : os.tmpdir();
-    const tmpHtmlPath = path.join(tmpDir, `render-${Date.now()}.html`);
-    await fs.writeFile(tmpHtmlPath, html, "utf8");
-
-    // 5) Navigate to file:// (this unlocks local resources)
-    await page.goto(`file://${tmpHtmlPath}`, { waitUntil: "networkidle0" });
+    // 2) Serve the document and its assets from memory / baseDir
+    await page.setRequestInterception(true);
+    page.on("request", request => {
+      if (request.isInterceptResolutionHandled?.()) return;
+      serveDocument(request, doc, baseDir).catch(err =>
+        console.log("REQUEST HANDLER FAILED:", request.url(), err.message)
+      );
+    });
+    await page.goto(DOCUMENT_ORIGIN, { waitUntil: "networkidle0" });
 
-    // 6) Wait for fonts & images
+    // 3) Wait for fonts & images
     await page.evaluate(async () => {
       const imgPromises = Array.from(document.images)
         .map(img => (img.complete ? null : new Promise(res => (img.onload = img.onerror = res))))
@@ -75,7 +202,7 @@ async function renderPdfFromHtmlFile(htmlPath, data = {}, pdfOptions = {}) {
       await Promise.all([document.fonts?.ready, ...imgPromises].filter(Boolean));
     });
 
-    // 7) PDF
+    // 4) PDF
     const pdf = await page.pdf({
       printBackground: true,
       preferCSSPageSize: true,
@@ -83,10 +210,33 @@ async function renderPdfFromHtmlFile(htmlPath, data = {}, pdfOptions = {}) {
     });
     return pdf;
   } finally {
-    await browser.close();
+    await context.close().catch(() => {});
   }
 }
 
-module.exports = { renderPdfFromHtmlFile };
-
+/**
+ * @param {string} htmlPath  Absolute path to the HTML template
+ * @param {object} data      Object to inject into {{...}} placeholders
+ * @param {object} pdfOptions Puppeteer PDF options
+ * @param {Function} [fill]  Fill function for the template (default: fillData)
+ */
+async function renderPdfFromHtmlFile(
+  htmlPath,
+  data = {},
+  pdfOptions = {},
+  fill = fillData
+) {
+  const template = await fs.readFile(htmlPath, "utf8");
+  return renderPdfFromHtml(fill(template, data), {
+    // relative assets resolve from the template's own folder
+    baseDir: path.dirname(path.resolve(htmlPath)),
+    pdfOptions,
+  });
+}
 
+module.exports = {
+  renderPdfFromHtml,
+  renderPdfFromHtmlFile,
+  getBrowser,
+  closeBrowser,
+};
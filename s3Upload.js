@@ -27,7 +27,8 @@ async function uploadPdfAndGetUrl(pdfBuffer, opts = {}) {
   });
 
  
-  const key = `Service-Agreement-${new Date().toISOString().replace(/[:.]/g,"-")}.pdf`;
+  const prefix = opts.keyPrefix || "Service-Agreement";
+  const key = `${prefix}-${new Date().toISOString().replace(/[:.]/g,"-")}.pdf`;
 
   const putParams = {
     Bucket: bucket,
@@ -0,0 +1,223 @@
+// Service catalogue: everything the renderer and pricing need per service type.
+// Adding a service type means adding an entry here; nothing else lists them.
+// Frequencies are keys from the frequency model (frequencies.js).
+// Payloads may override an entry's frequencies via `serviceCatalogue` (see
+// getServiceCatalogue).
+//
+// Entry shape:
+//   title                plain-text name (pricing tables, messages)
+//   titleLines           name as printed in the schedule, one item per line
+//   frequencyField       payload field holding the selected frequency
+//   recommendedFrequency / allowedFrequencies
+//   pricing.rule         "per_chute" | "per_unit" | "per_area" | "flat"
+//   pricing.quantityFrom service field holding the billable quantity, or
+//                        "odourControlUnits" for the payload's units map
+//   detail               { field } or { template } describing one line item
+//   lines                what each service prints in the COST column, in order:
+//                          { kind: "quantity", labelField }  "3 x <b>Linear</b>"
+//                          { kind: "price", suffix }         "$450 + GST (Per Chute)"
+//                          { kind: "field", key, template, bold }
+//                          { kind: "text", text, bold }
+//                          { kind: "units" }                 boxed unit count
+//                        lines with wording carry an `id`, unique within the
+//                        entry, that translations key on (see messages.js)
+//   buildingSummary      optional, printed per building instead of lines:
+//                          { kind: "total", noun: [one, many] }
+//                            one merged quantity/price
+//                          { kind: "breakdown", groupBy, noun: [one, many] }
+//                            quantity and unit price per groupBy value
+//                            (e.g. bin size), then a building subtotal
+//   disclaimer           bold note printed under each building ("\n" breaks)
+
+const STANDARD_FREQUENCIES = ["quarterly", "six-monthly", "yearly"];
+
+// default quantity source per pricing rule (null = one per service line)
+const PRICING_RULES = {
+  per_chute: { quantityFrom: "chutes" },
+  per_unit: { quantityFrom: "quantity" },
+  per_area: { quantityFrom: null },
+  flat: { quantityFrom: null },
+};
+
+const DEFAULT_SERVICE_CATALOGUE = {
+  chute_cleaning: {
+    title: "Waste Chute Cleaning",
+    titleLines: ["Waste Chute Cleaning"],
+    frequencyField: "chuteCleaningFrequency",
+    recommendedFrequency: "quarterly",
+    allowedFrequencies: STANDARD_FREQUENCIES,
+    pricing: { rule: "per_chute" },
+    detail: { template: "Up to {levels} Levels" },
+    lines: [
+      { id: "price", kind: "price", suffix: "(Per Chute)" },
+      {
+        id: "levels",
+        kind: "field",
+        key: "levels",
+        template: "(Up to {value} Levels)",
+        bold: true,
+      },
+    ],
+    disclaimer: "*Any Extra Levels will be invoiced\naccordingly",
+  },
+  equipment_maintenance: {
+    title: "Equipment Preventative Maintenance",
+    titleLines: ["Equipment Preventative", "Maintenance"],
+    frequencyField: "equipmentMaintenanceFrequency",
+    recommendedFrequency: "quarterly",
+    allowedFrequencies: STANDARD_FREQUENCIES,
+    pricing: { rule: "per_unit" },
+    detail: { field: ["equipment_label", "equipment"] },
+    lines: [
+      { kind: "quantity", labelField: ["equipment_label", "equipment"] },
+      { id: "price", kind: "price", suffix: "(Per System)" },
+    ],
+  },
+  hopper_door_inspection: {
+    title: "Self-Closing Hopper Door Inspection",
+    titleLines: ["Self-Closing Hopper Door", "Inspection"],
+    frequencyField: "selfClosingHopperDoorInspectionFrequency",
+    recommendedFrequency: "quarterly",
+    allowedFrequencies: STANDARD_FREQUENCIES,
+    pricing: { rule: "per_chute" },
+    detail: { template: "Up to {levels} Levels" },
+    lines: [
+      { id: "price", kind: "price", suffix: "(Per Chute)" },
+      {
+        id: "levels",
+        kind: "field",
+        key: "levels",
+        template: "(Up to {value} Levels)",
+        bold: true,
+      },
+    ],
+    disclaimer: "*Any Extra Levels will be invoiced\naccordingly",
+  },
+  waste_room_pressure_clean: {
+    title: "Waste Room High Pressure Clean",
+    titleLines: ["Waste Room High Pressure", "Clean"],
+    frequencyField: "wasteRoomCleaningFrequency",
+    recommendedFrequency: "quarterly",
+    allowedFrequencies: STANDARD_FREQUENCIES,
+    pricing: { rule: "per_area" },
+    detail: { field: "area_label" },
+    lines: [
+      { kind: "price" },
+      { kind: "field", key: "area_label", bold: true },
+      { id: "per_room", kind: "text", text: "(Per Waste Room)", bold: true },
+    ],
+  },
+  bin_cleaning: {
+    title: "Wheelie Bin Cleaning",
+    titleLines: ["Wheelie Bin Cleaning"],
+    frequencyField: "binCleaningFrequency",
+    recommendedFrequency: "quarterly",
+    allowedFrequencies: STANDARD_FREQUENCIES,
+    pricing: { rule: "per_unit" },
+    detail: { field: "bin_size" },
+    lines: [
+      { kind: "quantity", labelField: "bin_size" },
+      { id: "price", kind: "price", suffix: "(Per Bin)" },
+    ],
+    buildingSummary: {
+      kind: "breakdown",
+      groupBy: "bin_size",
+      noun: ["bin", "bins"],
+    },
+  },
+  odour_control: {
+    title: "EF Neutraliser (Odour Management System)",
+    titleLines: ["EF Neutraliser", "", "(Odour Management System)"],
+    frequencyField: "odourControlFrequency",
+    recommendedFrequency: "quarterly",
+    allowedFrequencies: ["quarterly"],
+    pricing: { rule: "per_unit", quantityFrom: "odourControlUnits" },
+    lines: [
+      { kind: "price" },
+      {
+        id: "per_unit",
+        kind: "text",
+        text: "(Per Unit, No Installation cost. Min 2 year contract)",
+      },
+      {
+        id: "power_outlet",
+        kind: "text",
+        text: "*240V 10AMP Outlet Must be Supplied in Waste Room",
+        bold: true,
+      },
+      { kind: "units" },
+    ],
+  },
+};
+
+// ---- entry helpers ----
+// First non-empty value among one or more service fields
+function pickField(service, field) {
+  const fields = Array.isArray(field) ? field : [field];
+  for (const f of fields) {
+    const v = service?.[f];
+    if (v != null && String(v).trim() !== "") return v;
+  }
+  return "";
+}
+
+// Fills {value} and any {serviceField}; empty if a placeholder has no value
+function fillTemplate(template, service, value) {
+  let missing = false;
+  const out = String(template).replace(/\{(\w+)\}/g, (_, key) => {
+    const v = key === "value" ? value : service?.[key];
+    if (v == null || String(v).trim() === "") missing = true;
+    return v ?? "";
+  });
+  return missing ? "" : out;
+}
+
+/** Short description of one service line, e.g. "Linear" or "Up to 12 Levels". */
+function getServiceDetail(entry, service) {
+  const detail = entry?.detail;
+  if (!detail) return "";
+  if (detail.template) return fillTemplate(detail.template, service);
+  return String(pickField(service, detail.field));
+}
+
+/** Raw billable quantity of one service line under the entry's pricing rule. */
+function getServiceQuantityValue(entry, service, odourControlUnits = {}) {
+  const rule = PRICING_RULES[entry?.pricing?.rule] ?? PRICING_RULES.flat;
+  const from = entry?.pricing?.quantityFrom ?? rule.quantityFrom;
+  if (!from) return 1;
+  if (from === "odourControlUnits") {
+    return odourControlUnits?.[service?.id] ?? 0;
+  }
+  return service?.[from];
+}
+
+// Fields a payload may override; pricing and printed lines stay as defined
+const OVERRIDABLE_FIELDS = ["recommendedFrequency", "allowedFrequencies"];
+
+/**
+ * Default catalogue with per-type overrides applied. Unknown service types
+ * and fields other than OVERRIDABLE_FIELDS are ignored.
+ * @param {object} [overrides] e.g. { bin_cleaning: { allowedFrequencies: ["monthly"] } }
+ */
+function getServiceCatalogue(overrides = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SERVICE_CATALOGUE).map(([type, entry]) => {
+      const o = overrides?.[type] ?? {};
+      const changes = Object.fromEntries(
+        OVERRIDABLE_FIELDS.filter((f) => o[f] != null).map((f) => [f, o[f]])
+      );
+      return [type, { ...entry, ...changes, type }];
+    })
+  );
+}
+
+module.exports = {
+  PRICING_RULES,
+  DEFAULT_SERVICE_CATALOGUE,
+  OVERRIDABLE_FIELDS,
+  pickField,
+  fillTemplate,
+  getServiceDetail,
+  getServiceQuantityValue,
+  getServiceCatalogue,
+};
@@ -0,0 +1,249 @@
+// Small Handlebars-style engine for the HTML templates, so layout (loops,
+// branches, repeated rows) lives in the template and JS only builds a view model.
+//
+//   {{path}}                          value, HTML-escaped (trustedHtml passes through)
+//   {{#if path}}..{{else}}..{{/if}}   also {{#unless path}}..{{/unless}}
+//   {{#each path}}..{{else}}..{{/each}}
+//                                     inside: {{this}}, {{@index}}, {{@first}}, {{@last}}
+//   {{#with path}}..{{/with}}
+//   {{> name}} / {{> name path}}      partial, with the current or the given context
+//   {{#*inline "name"}}..{{/inline}}  partial defined in the template itself
+//   {{! comment }}
+//   {TOKEN}                           legacy flat token, filled from opts.tokens
+//
+// Pass opts.report (see fillReport.js) to collect placeholders that had no
+// value or an empty one.
+//
+// Paths resolve against the current context only; use ../ for the enclosing
+// one and @root for the top-level view model.
+
+const { escapeHtml, isTrustedHtml } = require("./htmlEscape");
+
+const TAG_RE = /\{\{(!--[\s\S]*?--|![\s\S]*?|[\s\S]*?)\}\}|\{([A-Z][A-Z0-9_-]*)\}/g;
+const BLOCKS = new Set(["if", "unless", "each", "with"]);
+
+class TemplateError extends Error {
+  constructor(message, source, index) {
+    const line = source ? source.slice(0, index).split("\n").length : null;
+    super(line ? `${message} (line ${line})` : message);
+    this.name = "TemplateError";
+    this.line = line;
+  }
+}
+
+// ---- parser ----
+function countLines(text) {
+  let n = 0;
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) n++;
+  return n;
+}
+
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const partials = {};
+  let target = root.children;
+  let last = 0;
+  let line = 1;
+
+  const open = (node, index) => {
+    node.index = index;
+    // inline partials are collected, not rendered in place
+    if (node.type !== "inline") target.push(node);
+    stack.push(node);
+    target = node.children;
+  };
+
+  for (const m of source.matchAll(TAG_RE)) {
+    const text = source.slice(last, m.index);
+    if (text) target.push({ type: "text", text });
+    line += countLines(text);
+    const at = line;
+    line += countLines(m[0]);
+    last = m.index + m[0].length;
+
+    if (m[2]) {
+      target.push({ type: "token", name: m[2], raw: m[0], line: at });
+      continue;
+    }
+
+    const tag = m[1].trim();
+    if (tag.startsWith("!")) continue;
+
+    if (tag.startsWith("#*inline")) {
+      const name = tag.match(/^#\*inline\s+"([^"]+)"$/)?.[1];
+      if (!name) throw new TemplateError(`Bad inline partial: {{${tag}}}`, source, m.index);
+      open({ type: "inline", name, children: [] }, m.index);
+    } else if (tag.startsWith("#")) {
+      const [kind, path] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.has(kind) || !path) {
+        throw new TemplateError(`Unknown block: {{${tag}}}`, source, m.index);
+      }
+      open({ type: kind, path, children: [], inverse: null }, m.index);
+    } else if (tag === "else") {
+      const node = stack[stack.length - 1];
+      if (node === root || node.type === "inline" || node.inverse) {
+        throw new TemplateError("Unexpected {{else}}", source, m.index);
+      }
+      node.inverse = [];
+      target = node.inverse;
+    } else if (tag.startsWith("/")) {
+      const kind = tag.slice(1).trim();
+      const node = stack.pop();
+      if (node === root || node.type !== kind) {
+        throw new TemplateError(`Unexpected {{/${kind}}}`, source, m.index);
+      }
+      if (node.type === "inline") partials[node.name] = node.children;
+      const parent = stack[stack.length - 1];
+      target = parent.inverse ?? parent.children;
+    } else if (tag.startsWith(">")) {
+      const [name, path] = tag.slice(1).trim().split(/\s+/);
+      target.push({ type: "partial", name, path: path ?? "this" });
+    } else {
+      target.push({ type: "var", path: tag, line: at });
+    }
+  }
+
+  if (stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${node.type}}}`, source, node.index);
+  }
+  if (last < source.length) target.push({ type: "text", text: source.slice(last) });
+  return { nodes: root.children, partials };
+}
+
+// ---- rendering ----
+// scope: { context, parent, data: { index, first, last }, root }
+function lookup(path, scope) {
+  if (path === "this" || path === ".") return scope.context;
+  if (path.startsWith("@")) {
+    if (path === "@root") return scope.root;
+    if (path.startsWith("@root.")) return getPath(scope.root, path.slice(6));
+    return scope.data?.[path.slice(1)];
+  }
+  let s = scope;
+  let p = path;
+  while (p.startsWith("../")) {
+    s = s.parent ?? s;
+    p = p.slice(3);
+  }
+  return getPath(s.context, p.replace(/^this\./, ""));
+}
+
+function getPath(obj, path) {
+  return path
+    .split(".")
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (isTrustedHtml(value)) return !!value.html;
+  return !!value;
+}
+
+function isEmpty(value) {
+  if (isTrustedHtml(value)) return !value.html.trim();
+  return value == null || String(value).trim() === "";
+}
+
+function child(scope, context, data) {
+  return { context, parent: scope, data, root: scope.root };
+}
+
+function renderNodes(nodes, scope, env) {
+  let out = "";
+  for (const node of nodes ?? []) {
+    switch (node.type) {
+      case "text":
+        out += node.text;
+        break;
+      case "token": {
+        if (!Object.prototype.hasOwnProperty.call(env.tokens, node.name)) {
+          env.report?.unresolved(node.raw, node.line);
+          out += node.raw;
+          break;
+        }
+        const value = env.tokens[node.name];
+        if (isEmpty(value)) env.report?.empty(node.raw, node.line);
+        out += escapeHtml(value);
+        break;
+      }
+      case "var": {
+        const value = lookup(node.path, scope);
+        if (value === undefined) {
+          env.report?.unresolved(`{{${node.path}}}`, node.line);
+        } else if (isEmpty(value)) {
+          env.report?.empty(`{{${node.path}}}`, node.line);
+        }
+        out += escapeHtml(value ?? "");
+        break;
+      }
+      case "if":
+      case "unless": {
+        const pass = isTruthy(lookup(node.path, scope)) === (node.type === "if");
+        out += renderNodes(pass ? node.children : node.inverse, scope, env);
+        break;
+      }
+      case "with": {
+        const value = lookup(node.path, scope);
+        out += isTruthy(value)
+          ? renderNodes(node.children, child(scope, value, scope.data), env)
+          : renderNodes(node.inverse, scope, env);
+        break;
+      }
+      case "each": {
+        const list = lookup(node.path, scope);
+        const items = Array.isArray(list) ? list : [];
+        if (!items.length) {
+          out += renderNodes(node.inverse, scope, env);
+          break;
+        }
+        items.forEach((item, index) => {
+          const data = { index, first: index === 0, last: index === items.length - 1 };
+          out += renderNodes(node.children, child(scope, item, data), env);
+        });
+        break;
+      }
+      case "partial": {
+        const partial = env.partials[node.name];
+        if (!partial) throw new TemplateError(`Unknown partial: ${node.name}`);
+        const context = lookup(node.path, scope);
+        out += renderNodes(partial, child(scope, context, scope.data), env);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Renders a template against a view model.
+ * @param {string} source
+ * @param {object} view
+ * @param {object} [opts]
+ * @param {Record<string, string>} [opts.partials] extra partials, by name
+ * @param {Record<string, any>} [opts.tokens]      values for legacy {TOKEN}s;
+ *   unknown tokens are left as they are
+ * @param {object} [opts.report] collector from createFillReport()
+ * @returns {string}
+ */
+function renderTemplate(source, view = {}, opts = {}) {
+  const { nodes, partials } = parse(String(source ?? ""));
+  const extra = Object.fromEntries(
+    Object.entries(opts.partials ?? {}).map(([name, src]) => [
+      name,
+      parse(String(src)).nodes,
+    ])
+  );
+  const env = {
+    partials: { ...extra, ...partials },
+    tokens: opts.tokens ?? {},
+    report: opts.report ?? null,
+  };
+  return renderNodes(nodes, { context: view, parent: null, data: null, root: view }, env);
+}
+
+module.exports = { renderTemplate, TemplateError };
@@ -0,0 +1,120 @@
+// Template registry: which documents this Lambda can render.
+// The event picks one by ID and (optionally) version; the latest version is
+// used when none is given. Add a document type by registering its HTML file,
+// fill function and payload check here.
+
+const path = require("path");
+const { fillData } = require("./fillData");
+const { assertValidAgreementPayload } = require("./validatePayload");
+
+const DEFAULT_TEMPLATE_ID = "service-agreement";
+
+// id -> version -> definition
+const registry = new Map();
+
+class UnknownTemplateError extends Error {
+  constructor(id, version, available) {
+    const name = version ? `${id}@${version}` : id;
+    super(`Unknown template: ${JSON.stringify(name)}`);
+    this.name = "UnknownTemplateError";
+    this.statusCode = 400;
+    this.templateId = id;
+    this.version = version ?? null;
+    this.available = available;
+  }
+}
+
+// "2" > "1.10" > "1.9"
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+/**
+ * @param {object} def
+ * @param {string} def.id        e.g. "service-agreement"
+ * @param {string} def.version   e.g. "1"
+ * @param {string} def.title     shown to users picking a template
+ * @param {string} def.file      HTML file, relative to this folder
+ * @param {(html: string, data: object, opts?: { strict?: boolean, onReport?: Function }) => string} def.fill
+ * @param {(data: object) => any} [def.validate] throws on a bad payload
+ * @param {string} [def.filePrefix] S3 key prefix for rendered PDFs
+ */
+function registerTemplate(def) {
+  const { id, version } = def ?? {};
+  if (!id || !version || !def.file || typeof def.fill !== "function") {
+    throw new Error("Template needs an id, version, file and fill function");
+  }
+  const versions = registry.get(id) ?? new Map();
+  if (versions.has(String(version))) {
+    throw new Error(`Template ${id}@${version} is already registered`);
+  }
+  versions.set(String(version), {
+    filePrefix: def.title?.replace(/\s+/g, "-") ?? id,
+    ...def,
+    version: String(version),
+    htmlPath: path.resolve(__dirname, def.file),
+  });
+  registry.set(id, versions);
+}
+
+function getLatestVersion(id) {
+  const versions = [...(registry.get(id)?.keys() ?? [])];
+  return versions.sort(compareVersions).pop() ?? null;
+}
+
+/** Templates and versions the front-end can offer, without internals. */
+function listTemplates() {
+  return [...registry.entries()].flatMap(([id, versions]) => {
+    const latest = getLatestVersion(id);
+    return [...versions.values()]
+      .sort((a, b) => compareVersions(a.version, b.version))
+      .map((t) => ({
+        id,
+        version: t.version,
+        title: t.title,
+        latest: t.version === latest,
+      }));
+  });
+}
+
+/**
+ * Resolves a template by ID and version (latest when omitted).
+ * @throws {UnknownTemplateError}
+ */
+function getTemplate(id = DEFAULT_TEMPLATE_ID, version) {
+  const versions = registry.get(id);
+  const v = version != null ? String(version) : getLatestVersion(id);
+  const template = versions?.get(v);
+  if (!template) {
+    throw new UnknownTemplateError(
+      id,
+      version,
+      listTemplates().map((t) => `${t.id}@${t.version}`)
+    );
+  }
+  return template;
+}
+
+// ---- built-in templates ----
+registerTemplate({
+  id: "service-agreement",
+  version: "1",
+  title: "Service Agreement",
+  file: "service-agreement.html",
+  fill: fillData,
+  validate: assertValidAgreementPayload,
+});
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  UnknownTemplateError,
+  registerTemplate,
+  listTemplates,
+  getTemplate,
+};
@@ -1,7 +1,7 @@
 // filepath: /Users/khangtrinh/CWS/auto-follow-up/test.js
 const fs = require("fs");
 const path = require("path");
-const { renderPdfFromHtmlFile } = require("./renderPdf");
+const { renderPdfFromHtmlFile, closeBrowser } = require("./renderPdf");
 const { exec } = require("child_process");
 const { promisify } = require("util");
 const execAsync = promisify(exec);
@@ -369,6 +369,9 @@ const mockContext = {
     }
   } catch (error) {
     console.error("Error generating PDF:", error);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    // the browser is shared and stays open otherwise
+    await closeBrowser();
   }
 })();
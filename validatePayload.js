@@ -0,0 +1,670 @@
+// Agreement payload schema + validator.
+// No npm dependencies, so the front-end can bundle it to check forms too.
+
+const {
+  DEFAULT_SERVICE_CATALOGUE,
+  getServiceCatalogue,
+} = require("./serviceCatalogue");
+const {
+  normalizeFrequency,
+  isNoFrequency,
+  getFrequencyModel,
+  findFrequency,
+} = require("./frequencies");
+const { CONTACT_ROLES } = require("./contacts");
+const { MONEY_PATTERN, toCents } = require("./money");
+const { getLocaleProfile } = require("./localeProfiles");
+const { getMessageCatalogues } = require("./messages");
+const {
+  ESCALATION_METHODS,
+  getPricingPolicy,
+  getEscalationPolicy,
+} = require("./pricingPolicy");
+const {
+  ADDRESS_FIELDS,
+  SITE_ADDRESS_FIELDS,
+  checkPostcode,
+  isSameAsBusiness,
+} = require("./addresses");
+
+// ---- schema building blocks ----
+const SERVICE_TYPES = Object.keys(DEFAULT_SERVICE_CATALOGUE);
+
+const FREQUENCY_FIELDS = Object.values(DEFAULT_SERVICE_CATALOGUE).map(
+  (entry) => entry.frequencyField
+);
+
+const TERM_PRICING_VALUES = ["prorate", "whole-visits", null];
+
+// per-service negotiated price fields (see getServicePricing in pricing.js,
+// not required here to keep this file free of npm dependencies)
+const PRICE_ADJUSTMENTS = ["override_price", "discount_pct", "discount_amount"];
+
+const CONTACT_ROLE_FLAGS = CONTACT_ROLES.flatMap((r) => [r.flag, r.primaryFlag]);
+
+const optionalString = { type: ["string", "null"] };
+const optionalBoolean = { type: ["boolean", "null"] };
+
+// "450", "450.00", "$310.00", "1,250.50" or a plain number; commas only
+// as thousands separators (see money.js)
+const money = {
+  type: ["number", "string"],
+  minimum: 0,
+  pattern: MONEY_PATTERN,
+};
+
+const optionalMoney = { ...money, type: ["number", "string", "null"] };
+
+// 0-100, as a number or a numeric string
+const percent = {
+  type: ["number", "string", "null"],
+  minimum: 0,
+  maximum: 100,
+  pattern: "^\\s*(100(\\.0+)?|\\d{1,2}(\\.\\d+)?)\\s*%?\\s*$",
+};
+
+// non-negative whole number, as a number or a numeric string
+const count = {
+  type: ["integer", "string"],
+  minimum: 0,
+  pattern: "^\\s*\\d+\\s*$",
+};
+
+// YYYY-MM-DD with an optional time part
+const isoDate = {
+  type: ["string", "null"],
+  pattern: "^\\d{4}-\\d{2}-\\d{2}(T[0-9:.]+(Z|[+-]\\d{2}:?\\d{2})?)?$",
+};
+// the term dates price the whole agreement, so they can't be left out
+const termDate = { ...isoDate, type: "string" };
+
+const frequency = optionalString;
+
+const customFrequencySchema = {
+  type: "object",
+  required: ["key", "label", "visitsPerYear"],
+  properties: {
+    key: { type: "string", pattern: "^[a-z0-9]+(-[a-z0-9]+)*$" },
+    label: { type: "string" },
+    visitsPerYear: { type: "number", exclusiveMinimum: 0 },
+  },
+};
+
+const serviceSchema = {
+  type: "object",
+  required: ["type", "price"],
+  properties: {
+    id: optionalString,
+    type: { type: "string", enum: SERVICE_TYPES },
+    price: money,
+    chutes: count,
+    levels: count,
+    quantity: count,
+    default_qty: count,
+    area: optionalString,
+    area_label: optionalString,
+    bin_size: optionalString,
+    equipment: optionalString,
+    equipment_label: optionalString,
+    override_price: optionalMoney,
+    discount_pct: percent,
+    discount_amount: optionalMoney,
+    discount_reason: optionalString,
+  },
+};
+
+const buildingSchema = {
+  type: "object",
+  required: ["services"],
+  properties: {
+    id: optionalString,
+    name: optionalString,
+    services: { type: "array", items: serviceSchema },
+  },
+};
+
+const siteSchema = {
+  type: "object",
+  required: ["buildings"],
+  properties: {
+    site_name: optionalString,
+    simpro_site_id: optionalString,
+    site_address: {
+      type: ["object", "null"],
+      properties: Object.fromEntries(
+        Object.values(SITE_ADDRESS_FIELDS).map((f) => [f, optionalString])
+      ),
+    },
+    buildings: { type: "array", items: buildingSchema },
+  },
+};
+
+const contactSchema = {
+  type: "object",
+  properties: {
+    firstName: optionalString,
+    lastName: optionalString,
+    title: optionalString,
+    email: optionalString,
+    phone: optionalString,
+    mobile: optionalString,
+    ...Object.fromEntries(CONTACT_ROLE_FLAGS.map((f) => [f, optionalBoolean])),
+  },
+};
+
+const tierSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    minServices: { type: "integer", minimum: 0 },
+    maxServices: { type: ["integer", "null"], minimum: 0 },
+    discountPct: { type: "number", minimum: 0, maximum: 100 },
+    partsDiscountPct: { type: "number", minimum: 0, maximum: 100 },
+    priceLockMonths: { type: "integer", minimum: 0 },
+    perks: { type: "array", items: { type: "string" } },
+    complimentary: {
+      type: ["object", "null"],
+      required: ["type", "months"],
+      properties: {
+        type: { type: "string" },
+        months: { type: "integer", minimum: 0 },
+      },
+    },
+  },
+};
+
+const rateSchema = {
+  type: "object",
+  required: ["callOutFee", "hourlyRate"],
+  properties: {
+    callOutFee: money,
+    hourlyRate: money,
+  },
+};
+
+const agreementSchema = {
+  type: "object",
+  required: ["serviceAgreement"],
+  properties: {
+    companyName: optionalString,
+    abn: optionalString,
+    acn: optionalString,
+    nzbn: optionalString,
+    businessNumber: optionalString,
+    // profile ID ("en-NZ"), or { profile, ...fields } (see localeProfiles.js)
+    locale: { type: ["string", "object", "null"] },
+    // document language ("fr-CA"); English when missing (see messages.js)
+    language: optionalString,
+    // extra catalogues by language, checked in checkMessages()
+    messages: { type: ["object", "null"] },
+    accountEmail: optionalString,
+    accountPhone: optionalString,
+    accountMobile: optionalString,
+    ...Object.fromEntries(
+      Object.values(ADDRESS_FIELDS).flatMap((fields) =>
+        Object.values(fields).map((f) => [f, optionalString])
+      )
+    ),
+    sameAddres: optionalBoolean,
+    accountFirstName: optionalString,
+    accountLastName: optionalString,
+    accountTitle: optionalString,
+    ...Object.fromEntries(CONTACT_ROLE_FLAGS.map((f) => [f, optionalBoolean])),
+    additionalContacts: { type: ["array", "null"], items: contactSchema },
+    signFullName: optionalString,
+    signatureDate: optionalString,
+    trimmedDataURL: optionalString,
+    serviceCatalogue: {
+      type: ["object", "null"],
+      properties: Object.fromEntries(
+        SERVICE_TYPES.map((t) => [
+          t,
+          {
+            type: "object",
+            // only the frequencies; see OVERRIDABLE_FIELDS
+            properties: {
+              recommendedFrequency: frequency,
+              allowedFrequencies: { type: "array", items: { type: "string" } },
+            },
+            additionalProperties: false,
+          },
+        ])
+      ),
+      additionalProperties: false,
+    },
+    customFrequencies: { type: ["array", "null"], items: customFrequencySchema },
+    gstRate: { type: ["number", "null"], minimum: 0, maximum: 1 },
+    // full tier list, or per-tier overrides keyed by tier name
+    pricingPolicy: {
+      type: ["object", "null"],
+      properties: {
+        tiers: {
+          type: ["array", "object"],
+          items: { ...tierSchema, required: ["name", "minServices"] },
+          additionalProperties: tierSchema,
+        },
+      },
+    },
+    ...Object.fromEntries(FREQUENCY_FIELDS.map((f) => [f, frequency])),
+    serviceAgreement: {
+      type: "object",
+      required: ["sites", "start_date", "end_date"],
+      properties: {
+        start_date: termDate,
+        end_date: termDate,
+        expire_at: isoDate,
+        incentives: { type: ["boolean", "null"] },
+        term_pricing: { type: ["string", "null"], enum: TERM_PRICING_VALUES },
+        // annual price increases; ratePct is the projected CPI for "cpi"
+        escalation: {
+          type: ["object", "null"],
+          required: ["method"],
+          properties: {
+            method: {
+              type: "string",
+              enum: [...Object.values(ESCALATION_METHODS), "none"],
+            },
+            ratePct: { type: ["number", "null"], minimum: 0, maximum: 100 },
+          },
+        },
+        salesperson: optionalString,
+        // keep planned visits off public holidays (the local list plus these)
+        skip_public_holidays: optionalBoolean,
+        public_holidays: { type: ["array", "null"], items: isoDate },
+        sites: { type: "array", items: siteSchema },
+      },
+    },
+    unscheduledRates: {
+      type: ["object", "null"],
+      properties: {
+        normalWorkingHours: rateSchema,
+        afterHoursWeekday: rateSchema,
+        afterHoursWeekend: rateSchema,
+        wasteBlockage: rateSchema,
+      },
+    },
+    odourControlUnits: {
+      type: ["object", "null"],
+      additionalProperties: count,
+    },
+  },
+};
+
+// ---- validator (JSON Schema subset) ----
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  if (type === "integer") return actual === "integer";
+  return actual === type;
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+function validateNode(schema, value, path, errors) {
+  if (!schema) return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({
+        path,
+        message: `must be ${types.join(" or ")}, got ${typeOf(value)}`,
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map((v) => JSON.stringify(v)).join(", ");
+    errors.push({ path, message: `must be one of ${allowed}` });
+    return;
+  }
+
+  if (typeof value === "string" && schema.pattern) {
+    if (!new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `has an invalid format: ${JSON.stringify(value)}` });
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum != null) {
+    if (!Number.isFinite(value) || value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+  }
+
+  if (typeof value === "number" && schema.exclusiveMinimum != null) {
+    if (!Number.isFinite(value) || value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (typeof value === "number" && schema.maximum != null) {
+    if (!Number.isFinite(value) || value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        validateNode(schema.items, item, childPath(path, i), errors)
+      );
+    }
+    return;
+  }
+
+  if (value && typeof value === "object") {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: "is required" });
+      }
+    }
+    const props = schema.properties ?? {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) {
+        validateNode(props[key], v, childPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        validateNode(schema.additionalProperties, v, childPath(path, key), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validates a value against a schema.
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+function validate(schema, value) {
+  const errors = [];
+  validateNode(schema, value, "$", errors);
+  return { valid: errors.length === 0, errors };
+}
+
+// Catalogue overrides may only name frequencies of the model
+function checkCatalogueFrequencies(overrides, model) {
+  const errors = [];
+  const check = (value, path) => {
+    if (typeof value === "string" && !findFrequency(value, model)) {
+      errors.push({ path, message: `unknown frequency ${JSON.stringify(value)}` });
+    }
+  };
+  for (const [type, o] of Object.entries(overrides)) {
+    if (!o || typeof o !== "object") continue;
+    const path = `$.serviceCatalogue.${type}`;
+    check(o.recommendedFrequency, `${path}.recommendedFrequency`);
+    if (Array.isArray(o.allowedFrequencies)) {
+      o.allowedFrequencies.forEach((f, i) =>
+        check(f, `${path}.allowedFrequencies[${i}]`)
+      );
+    }
+  }
+  return errors;
+}
+
+// Frequencies depend on the payload's own customFrequencies and catalogue
+// overrides, so they are checked here rather than by a static enum.
+function checkFrequencies(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") return errors;
+
+  let model;
+  try {
+    model = getFrequencyModel(data.customFrequencies);
+  } catch (err) {
+    errors.push({ path: "$.customFrequencies", message: err.message });
+    model = getFrequencyModel();
+  }
+
+  let catalogue = DEFAULT_SERVICE_CATALOGUE;
+  if (data.serviceCatalogue && typeof data.serviceCatalogue === "object") {
+    catalogue = getServiceCatalogue(data.serviceCatalogue);
+    errors.push(...checkCatalogueFrequencies(data.serviceCatalogue, model));
+  }
+
+  for (const entry of Object.values(catalogue)) {
+    const path = `$.${entry.frequencyField}`;
+    const value = data[entry.frequencyField];
+    if (typeof value !== "string" || isNoFrequency(value)) continue;
+
+    const def = findFrequency(value, model);
+    // a malformed override is reported by the schema
+    const allowed = Array.isArray(entry.allowedFrequencies)
+      ? entry.allowedFrequencies
+      : null;
+    if (!def) {
+      errors.push({ path, message: `unknown frequency ${JSON.stringify(value)}` });
+    } else if (allowed && !allowed.map(normalizeFrequency).includes(def.key)) {
+      errors.push({
+        path,
+        message: `${def.label} is not offered for ${entry.title}; allowed: ${allowed.join(", ")}`,
+      });
+    }
+  }
+  return errors;
+}
+
+// A discount can take a service down to nothing, never below
+function checkDiscountAmount(service, path) {
+  let over;
+  try {
+    over = toCents(service.discount_amount) > toCents(service.price);
+  } catch {
+    return []; // unparseable amounts are reported by the schema
+  }
+  return over
+    ? [{ path: `${path}.discount_amount`, message: "must not exceed price" }]
+    : [];
+}
+
+// At most one price adjustment per service, and it needs a reason
+function checkPriceAdjustments(data) {
+  const errors = [];
+  const sites = data?.serviceAgreement?.sites;
+  if (!Array.isArray(sites)) return errors;
+
+  sites.forEach((site, i) =>
+    (Array.isArray(site?.buildings) ? site.buildings : []).forEach((b, j) =>
+      (Array.isArray(b?.services) ? b.services : []).forEach((service, k) => {
+        const path =
+          `$.serviceAgreement.sites[${i}].buildings[${j}]` +
+          `.services[${k}]`;
+        const set = PRICE_ADJUSTMENTS.filter(
+          (f) => service?.[f] != null && String(service[f]).trim() !== ""
+        );
+        if (set.length > 1) {
+          errors.push({
+            path,
+            message: `only one of ${set.join(", ")} may be set`,
+          });
+        }
+        if (set.includes("discount_amount")) {
+          errors.push(...checkDiscountAmount(service, path));
+        }
+        if (set.length && !String(service?.discount_reason ?? "").trim()) {
+          errors.push({
+            path: `${path}.discount_reason`,
+            message: `is required with ${set[0]}`,
+          });
+        }
+      })
+    )
+  );
+  return errors;
+}
+
+// Postcodes are checked against the address's own country and state
+function checkAddresses(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") return errors;
+
+  for (const [kind, fields] of Object.entries(ADDRESS_FIELDS)) {
+    if (kind === "postal" && isSameAsBusiness(data)) continue;
+    const postcode = data[fields.postcode];
+    if (typeof postcode !== "string") continue;
+    const problem = checkPostcode(
+      postcode,
+      data[fields.state],
+      data[fields.country]
+    );
+    if (problem) errors.push({ path: `$.${fields.postcode}`, message: problem });
+  }
+
+  const sites = data.serviceAgreement?.sites;
+  (Array.isArray(sites) ? sites : []).forEach((site, i) => {
+    const address = site?.site_address;
+    const postcode = address?.[SITE_ADDRESS_FIELDS.postcode];
+    if (typeof postcode !== "string") return;
+    const problem = checkPostcode(
+      postcode,
+      address[SITE_ADDRESS_FIELDS.state],
+      address[SITE_ADDRESS_FIELDS.country]
+    );
+    if (problem) {
+      errors.push({
+        path:
+          `$.serviceAgreement.sites[${i}].site_address.` +
+          SITE_ADDRESS_FIELDS.postcode,
+        message: problem,
+      });
+    }
+  });
+  return errors;
+}
+
+function checkPricingPolicy(data) {
+  if (!data?.pricingPolicy || typeof data.pricingPolicy !== "object") return [];
+  try {
+    getPricingPolicy(data.pricingPolicy);
+    return [];
+  } catch (err) {
+    return [{ path: "$.pricingPolicy", message: err.message }];
+  }
+}
+
+function checkEscalation(data) {
+  const escalation = data?.serviceAgreement?.escalation;
+  if (!escalation || typeof escalation !== "object") return [];
+  try {
+    getEscalationPolicy(escalation);
+    return [];
+  } catch (err) {
+    return [{ path: "$.serviceAgreement.escalation", message: err.message }];
+  }
+}
+
+// Real calendar day ("2025-02-30" isn't), as a UTC timestamp; NaN otherwise
+function calendarDay(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ""));
+  if (!m) return NaN;
+  const [y, mo, d] = m.slice(1).map(Number);
+  const day = Date.UTC(y, mo - 1, d);
+  const date = new Date(day);
+  return date.getUTCFullYear() === y &&
+    date.getUTCMonth() === mo - 1 &&
+    date.getUTCDate() === d
+    ? day
+    : NaN;
+}
+
+// The contract term needs both dates, and the end after the start
+function checkTerm(data) {
+  const agreement = data?.serviceAgreement;
+  if (!agreement || typeof agreement !== "object") return [];
+  const errors = [];
+  const days = {};
+  for (const field of ["start_date", "end_date"]) {
+    const value = agreement[field];
+    if (typeof value !== "string") continue; // reported by the schema
+    days[field] = calendarDay(value);
+    if (Number.isNaN(days[field])) {
+      errors.push({
+        path: `$.serviceAgreement.${field}`,
+        message: "is not a valid date",
+      });
+    }
+  }
+  if (!errors.length && days.end_date <= days.start_date) {
+    errors.push({
+      path: "$.serviceAgreement.end_date",
+      message: "must be after start_date",
+    });
+  }
+  return errors;
+}
+
+function checkLocale(data) {
+  if (data?.locale == null) return [];
+  try {
+    getLocaleProfile(data.locale);
+    return [];
+  } catch (err) {
+    return [{ path: "$.locale", message: err.message }];
+  }
+}
+
+function checkMessages(data) {
+  if (!data?.messages || typeof data.messages !== "object") return [];
+  try {
+    getMessageCatalogues(data.messages);
+    return [];
+  } catch (err) {
+    return [{ path: "$.messages", message: err.message }];
+  }
+}
+
+function validateAgreementPayload(data) {
+  const { errors } = validate(agreementSchema, data);
+  errors.push(...checkFrequencies(data));
+  errors.push(...checkAddresses(data));
+  errors.push(...checkTerm(data));
+  errors.push(...checkPricingPolicy(data));
+  errors.push(...checkEscalation(data));
+  errors.push(...checkLocale(data));
+  errors.push(...checkMessages(data));
+  errors.push(...checkPriceAdjustments(data));
+  return { valid: errors.length === 0, errors };
+}
+
+// ---- errors ----
+class PayloadValidationError extends Error {
+  constructor(errors) {
+    super("Invalid agreement payload");
+    this.name = "PayloadValidationError";
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+function assertValidAgreementPayload(data) {
+  const { valid, errors } = validateAgreementPayload(data);
+  if (!valid) throw new PayloadValidationError(errors);
+  return data;
+}
+
+module.exports = {
+  agreementSchema,
+  SERVICE_TYPES,
+  FREQUENCY_FIELDS,
+  validate,
+  validateAgreementPayload,
+  assertValidAgreementPayload,
+  PayloadValidationError,
+};
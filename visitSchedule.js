@@ -0,0 +1,164 @@
+// Planned service visits over the contract term, per selected service.
+// Visits are calendar days in the agreement's time zone (Sydney unless the
+// locale profile says otherwise), so a UTC timestamp late in the evening still
+// lands on the customer's day. The number of visits matches what the contract
+// total charges for (see visitsInTerm).
+
+const {
+  parseISO,
+  isValid,
+  isWeekend,
+  addMonths,
+  addDays,
+  format,
+} = require("date-fns");
+const { formatInTimeZone } = require("date-fns-tz");
+const {
+  DEFAULT_FREQUENCY_MODEL,
+  resolveFrequency,
+} = require("./frequencies");
+const { getServiceCatalogue } = require("./serviceCatalogue");
+const { getContractTerm, visitsInTerm } = require("./pricing");
+
+const DEFAULT_TIME_ZONE = "Australia/Sydney";
+
+function dayKey(date) {
+  return format(date, "yyyy-MM-dd");
+}
+
+/** Calendar day of an ISO date or timestamp in the time zone, or null. */
+function toCalendarDay(iso, timeZone = DEFAULT_TIME_ZONE) {
+  const s = typeof iso === "string" ? iso.trim() : "";
+  if (!s) return null;
+  try {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(s)
+      ? s
+      : formatInTimeZone(parseISO(s), timeZone, "yyyy-MM-dd");
+    const d = parseISO(day);
+    return isValid(d) ? d : null;
+  } catch {
+    return null;
+  }
+}
+
+// Whole-month intervals (monthly, quarterly...) keep the day of the month;
+// anything more frequent steps by days (weekly = 7, fortnightly = 14).
+function nthVisit(start, n, visitsPerYear) {
+  const months = 12 / visitsPerYear;
+  return Number.isInteger(months)
+    ? addMonths(start, n * months)
+    : addDays(start, n * Math.round(365 / visitsPerYear));
+}
+
+// Nearest weekday from date, stepping `step` days, that isn't a holiday
+function nextWorkingDay(date, holidays, step) {
+  let d = date;
+  do d = addDays(d, step);
+  while (holidays.has(dayKey(d)) || isWeekend(d));
+  return d;
+}
+
+// Moves a visit off a holiday to the next weekday that isn't one, or to the
+// previous one when the next falls after the end of the term
+function avoidHolidays(date, holidays, end) {
+  if (!holidays?.has(dayKey(date))) return { date, movedFrom: null };
+  const next = nextWorkingDay(date, holidays, 1);
+  const d = next > end ? nextWorkingDay(date, holidays, -1) : next;
+  return { date: d, movedFrom: date };
+}
+
+/**
+ * Visit dates of one frequency between start and end (calendar days).
+ * @param {Set<string>} [opts.holidays] "yyyy-MM-dd" days to keep visits off
+ * @returns {{ date: Date, movedFrom: Date|null }[]}
+ */
+function getVisitDates(
+  frequency,
+  start,
+  end,
+  { holidays = null, frequencyModel = DEFAULT_FREQUENCY_MODEL } = {}
+) {
+  const def = resolveFrequency(frequency, frequencyModel);
+  if (!def || !isValid(start) || !isValid(end)) return [];
+  const term = getContractTerm(dayKey(start), dayKey(end));
+  const count = visitsInTerm(frequency, term?.totalMonths, frequencyModel);
+  return Array.from({ length: count }, (_, n) =>
+    avoidHolidays(nthVisit(start, n, def.visitsPerYear), holidays, end)
+  );
+}
+
+/**
+ * Planned visits for every selected service over the agreement term, or null
+ * when the start or end date is missing.
+ * @returns {{ start: Date, end: Date, services: { type: string,
+ *   frequency: string, visitsPerYear: number,
+ *   visits: { date: Date, movedFrom: Date|null }[] }[] }|null}
+ */
+function getVisitSchedule({
+  startIso,
+  endIso,
+  frequencies = {},
+  holidays = null,
+  timeZone = DEFAULT_TIME_ZONE,
+  frequencyModel = DEFAULT_FREQUENCY_MODEL,
+  catalogue = getServiceCatalogue(),
+}) {
+  const start = toCalendarDay(startIso, timeZone);
+  const end = toCalendarDay(endIso, timeZone);
+  if (!start || !end || end <= start) return null;
+
+  const services = Object.values(catalogue)
+    .map((entry) => {
+      const frequency = frequencies?.[entry.frequencyField] ?? null;
+      const def = resolveFrequency(frequency, frequencyModel);
+      if (!def) return null;
+      return {
+        type: entry.type,
+        frequency,
+        visitsPerYear: def.visitsPerYear,
+        visits: getVisitDates(frequency, start, end, {
+          holidays,
+          frequencyModel,
+        }),
+      };
+    })
+    .filter(Boolean);
+
+  return { start, end, services };
+}
+
+/**
+ * Planned visits of each site, in payload order: getVisitSchedule() with the
+ * site's own holidays (e.g. those of its state). Sites with the same holiday
+ * region share one schedule. Null when the start or end date is missing.
+ * @param {(site: object) => string|null} [opts.holidayRegionOf]
+ * @param {(region: string|null) => Set<string>|null} [opts.holidaysIn]
+ * @returns {ReturnType<typeof getVisitSchedule>[]|null}
+ */
+function getSiteVisitSchedules({
+  sites = [],
+  holidayRegionOf = () => null,
+  holidaysIn = () => null,
+  ...opts
+}) {
+  const byRegion = new Map();
+  const scheduleFor = (region) => {
+    if (!byRegion.has(region)) {
+      const holidays = holidaysIn(region);
+      byRegion.set(region, getVisitSchedule({ ...opts, holidays }));
+    }
+    return byRegion.get(region);
+  };
+  const schedules = (Array.isArray(sites) ? sites : []).map((site) =>
+    scheduleFor(holidayRegionOf(site))
+  );
+  return schedules.every(Boolean) ? schedules : null;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  toCalendarDay,
+  getVisitDates,
+  getVisitSchedule,
+  getSiteVisitSchedules,
+};